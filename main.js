@@ -11,7 +11,7 @@
  * - No expansion or remote harvesting
  * - Optimized creep roles: miner, hauler, upgrader, builder
  * - Centralized base around controller
- * - No Labs or Factories
+ * - Labs only boost upgraders; the factory only makes energy batteries
  * - Throughput-based spawn logic with distance calculations
  * - Road planning for improved hauler efficiency
  * - Dynamic energy allocation between builders and upgraders
@@ -31,6 +31,17 @@ const VISUALIZE_BASE = true; // Set to false to disable base plan visualization
 const ENTRANCE_CURTAIN_DEPTH = 2;
 const ENTRANCE_OVERHANG_TILES = 2; // curtain and book-ends extend this many tiles beyond the entrance ends
 
+// Perimeter defense: 'curtains' (bookend walls and a curtain line at each entrance) or 'mincut'
+// (ramparts on the fewest tiles that separate every exit from the core, sources and controller)
+const PERIMETER_MODE = 'curtains';
+const PERIMETER_CORE_MARGIN = 3; // Min-cut keeps attackers this far from core buildings (ranged attack range)
+
+// Gates: ramparts on the defense line turn public while an allied creep is close, and all close
+// for GATE_LOCKDOWN_TICKS whenever runTowers sees a hostile (public ramparts let everyone through)
+const ALLIES = []; // Usernames of allied players
+const GATE_OPEN_RANGE = 3; // An ally within this range opens the gate
+const GATE_LOCKDOWN_TICKS = 50; // Gates stay closed this long after the last hostile sighting
+
 // Wall and rampart maintenance configuration - hit points by RCL
 const WALL_TARGET_HITS = {
     1: 1000,        // RCL 1: Basic protection (1K hits)
@@ -74,6 +85,245 @@ const CREEP_RECYCLE_TTL = 50; // Recycle creeps when they have this many ticks l
 const EMERGENCY_ENERGY_THRESHOLD = 300; // Spawn emergency creeps if energy is this low
 const CONTROLLER_DOWNGRADE_EMERGENCY = 5000; // Emergency if controller downgrade is this close
 
+// Spawn queue configuration
+const SPAWN_QUEUE_TTL = 300; // Drop queued spawn requests that haven't spawned within this many ticks
+const SPAWN_QUEUE_REFRESH_INTERVAL = 5; // Re-evaluate population targets every N ticks
+// Queue priorities - lower values spawn first; emergencies from detectEmergency jump ahead of everything
+const SPAWN_PRIORITY = {
+    emergency: 0,
+    manual: 5, // Requested from the console (mini.spawn)
+    miner: 10,
+    hauler: 20,
+    filler: 25,
+    upgrader: 30,
+    builder: 40,
+    mineralMiner: 50
+};
+const SPAWN_NAME_PREFIX = { miner: 'mine', hauler: 'haul', upgrader: 'upgr', builder: 'bldr', mineralMiner: 'mnrl', filler: 'fill' };
+const MINER_PRESPAWN_BUFFER = 20; // Extra ticks of lead time when queueing a replacement miner
+
+// Mineral mining configuration (extractor unlocks at RCL6)
+const MINERAL_HAUL_MIN_AMOUNT = 400; // Haulers empty the mineral container once it holds this much
+
+// Link network (RCL5+): links get a role when planned - 'source', 'hub' (by storage) or 'controller'.
+// Source links keep the controller link topped up for upgraders and send the rest to the hub,
+// which a filler empties into storage.
+const LINK_SEND_MIN = 100; // Smallest transfer worth a link cooldown
+const LINK_CONTROLLER_TARGET = 600; // Energy kept in the controller link; the hub tops it up from storage when sources can't
+
+// Upgrade feed: upgraders park within range 3 of the controller next to the controller link or
+// container and never walk back to base. Without a fed controller link, a quota of haulers keeps
+// the container stocked (enough to carry the upgraders' WORK over the storage→container round trip).
+const UPGRADE_FEED_TARGET = 1500; // Energy the feeder haulers keep in the controller container
+const UPGRADE_FEED_WINDOW = 100; // Ticks averaged for the upgrade energy/tick on the dashboard
+
+// Anchor scoring - wall distance beyond this adds nothing (the core stamp reaches 4 tiles)
+const ANCHOR_WALL_DISTANCE_CAP = 5;
+const ANCHOR_MIN_EXIT_DISTANCE = 6; // Walking distance kept between the anchor and any exit when possible
+const ANCHOR_SPAWN_ENERGY_SHARE = 0.3; // Share of income carried to the spawn for creeps; the rest goes to the controller
+
+// Base layout: 'stamps' (core stamp, extension fields and turret cluster placed around the
+// spawn) or 'bunker' (BUNKER_LAYOUT). Read when the base is planned; mini.replan() applies a change.
+const BASE_LAYOUT = 'stamps';
+
+// Bunker layout - one 13x13 stamp on a diagonal road lattice, so every structure touches a road.
+// The centre tile is left free for a filler, next to storage, terminal, hub link and factory.
+// A: the two input labs, in range 2 of the other eight labs (L).
+const BUNKER_LAYOUT = [
+    '  r  ErE  r  ',
+    ' rErErErErEr ',
+    'rEEErEEErEEEr',
+    ' rErErErErEr ',
+    ' ErETSrTPErE ',
+    'ErErSrsrTrErE',
+    'rEEErl trEEEr',
+    'ErErSrFrTrErE',
+    ' ErEETrTEErLL',
+    ' rErErErErErL',
+    'rEEErEEErEAAr',
+    ' rErErErErLrL',
+    '  r  NrO LrLL'
+];
+const BUNKER_LEGEND = {
+    r: STRUCTURE_ROAD, E: STRUCTURE_EXTENSION, S: STRUCTURE_SPAWN, T: STRUCTURE_TOWER,
+    s: STRUCTURE_STORAGE, t: STRUCTURE_TERMINAL, l: STRUCTURE_LINK, F: STRUCTURE_FACTORY,
+    P: STRUCTURE_POWER_SPAWN, N: STRUCTURE_NUKER, O: STRUCTURE_OBSERVER, A: STRUCTURE_LAB, L: STRUCTURE_LAB
+};
+const BUNKER_RAMPART_RANGE = 7; // Rampart ring just outside the 13x13 bunker
+
+// Base plan tracking - stamps in placement order. Bump a stamp's version when its layout
+// changes and validateBasePlan re-runs just that stamp in rooms planned with the old one.
+const PLAN_STAMPS = [
+    { name: 'core', version: 1 },
+    { name: 'spawns', version: 1 },
+    { name: 'sources', version: 1 },
+    { name: 'controller', version: 1 },
+    { name: 'mineral', version: 1 },
+    { name: 'extensions', version: 1 },
+    { name: 'defense', version: 1 },
+    { name: 'labs', version: 1 },
+    { name: 'utility', version: 1 },
+    { name: 'links', version: 1 },
+    { name: 'roads', version: 2 },
+    { name: 'edgeSeal', version: 1 },
+    { name: 'curtains', version: 1 },
+    { name: 'perimeter', version: 1 }
+];
+const PLAN_VALIDATE_INTERVAL = 500; // Ticks between base plan validations
+const PLAN_HISTORY_LENGTH = 10; // Plan diffs kept in room.memory.planHistory
+
+// Construction site budget: open sites are sized to the build progress builders can deliver within
+// CONSTRUCTION_BUDGET_TICKS - their WORK parts, capped by their share of source income
+const CONSTRUCTION_BUDGET_TICKS = 1500;
+const CONSTRUCTION_INCOME_SHARE = 0.5; // Share of source income spent on building
+const CONSTRUCTION_MIN_SITES = 2; // Always keep this many sites open so builders have work
+const CONSTRUCTION_SITE_RESERVE = 10; // Sites of the global MAX_CONSTRUCTION_SITES left for other rooms and hand placement
+const CONSTRUCTION_LOW_PRIORITY_SHARE = 0.5; // Most of the budget (sites and progress) roads, walls and ramparts may take
+const LOW_PRIORITY_SITE_TYPES = [STRUCTURE_ROAD, STRUCTURE_WALL, STRUCTURE_RAMPART];
+
+// Build order: default construction priority, highest first (both for placing sites and for
+// picking the builders' shared target)
+const BUILD_PRIORITY = [
+    STRUCTURE_EXTENSION,
+    STRUCTURE_SPAWN,
+    STRUCTURE_STORAGE,
+    STRUCTURE_TOWER,
+    STRUCTURE_CONTAINER,
+    STRUCTURE_LINK,
+    STRUCTURE_TERMINAL,
+    STRUCTURE_EXTRACTOR,
+    STRUCTURE_LAB,
+    STRUCTURE_FACTORY,
+    STRUCTURE_POWER_SPAWN,
+    STRUCTURE_OBSERVER,
+    STRUCTURE_NUKER,
+    STRUCTURE_WALL,
+    STRUCTURE_RAMPART,
+    STRUCTURE_ROAD
+];
+
+// Build phases by RCL (see getBuildOrder). While a phase lasts its `first` types jump the queue;
+// `requires` holds a type back until enough of other types are built, from that phase's RCL on.
+const BUILD_PHASES = [
+    { rcl: 1, name: 'bootstrap', first: [STRUCTURE_CONTAINER],
+        requires: { [STRUCTURE_ROAD]: { [STRUCTURE_EXTENSION]: 5, [STRUCTURE_CONTAINER]: 1 } } },
+    { rcl: 2, name: 'extensions', first: [STRUCTURE_EXTENSION] },
+    { rcl: 3, name: 'first tower', first: [STRUCTURE_TOWER],
+        requires: { [STRUCTURE_WALL]: { [STRUCTURE_TOWER]: 1 }, [STRUCTURE_RAMPART]: { [STRUCTURE_TOWER]: 1 } } },
+    { rcl: 4, name: 'storage', first: [STRUCTURE_STORAGE] },
+    { rcl: 5, name: 'links', first: [STRUCTURE_EXTENSION, STRUCTURE_TOWER],
+        requires: { [STRUCTURE_LINK]: { [STRUCTURE_STORAGE]: 1 } } },
+    { rcl: 6, name: 'terminal and labs', first: [STRUCTURE_EXTENSION, STRUCTURE_TERMINAL, STRUCTURE_EXTRACTOR],
+        requires: { [STRUCTURE_LAB]: { [STRUCTURE_TERMINAL]: 1 }, [STRUCTURE_EXTRACTOR]: { [STRUCTURE_STORAGE]: 1 } } },
+    { rcl: 7, name: 'second spawn', first: [STRUCTURE_SPAWN, STRUCTURE_EXTENSION],
+        requires: { [STRUCTURE_FACTORY]: { [STRUCTURE_TERMINAL]: 1 } } },
+    { rcl: 8, name: 'endgame', first: [STRUCTURE_SPAWN, STRUCTURE_EXTENSION, STRUCTURE_TOWER],
+        requires: { [STRUCTURE_NUKER]: { [STRUCTURE_TERMINAL]: 1 }, [STRUCTURE_POWER_SPAWN]: { [STRUCTURE_STORAGE]: 1 } } }
+];
+
+// Terminal market configuration - everything above the reserve is surplus and may be sold
+const TERMINAL_RESERVES = {
+    [RESOURCE_ENERGY]: 20000, // Also pays transaction costs
+    mineral: 5000             // Per mineral type
+};
+// Minimum net credits per unit (after valuing the transaction cost energy at the energy floor)
+const MARKET_PRICE_FLOORS = {
+    [RESOURCE_ENERGY]: 0.5,
+    mineral: 0.1
+};
+const MARKET_INTERVAL = 100; // Ticks between terminal market checks
+const MARKET_MAX_DEAL_AMOUNT = 5000; // Largest single sale
+const MARKET_SELL_BUFFER = 10000; // Extra energy haulers stock in the terminal while storage is nearly full
+const MARKET_LOG_LENGTH = 50; // Trades kept in room.memory.marketLog
+
+// Upgrade boosts (RCL6+): the lab closest to the spawn boosts new upgraders' WORK with the best
+// compound in stock. The terminal keeps BOOST_STOCK of them (never sold) and buys more at or below
+// BOOST_PRICE_CAPS; when none is left, upgraders simply spawn unboosted.
+const UPGRADE_BOOSTS = [RESOURCE_CATALYZED_GHODIUM_ACID, RESOURCE_GHODIUM_ACID, RESOURCE_GHODIUM_HYDRIDE]; // Best first
+const BOOST_STOCK = 3000; // Compound kept in terminal and boost lab together
+const BOOST_PRICE_CAPS = {
+    [RESOURCE_CATALYZED_GHODIUM_ACID]: 2,
+    [RESOURCE_GHODIUM_ACID]: 1,
+    [RESOURCE_GHODIUM_HYDRIDE]: 0.5
+};
+const BOOST_WAIT_TICKS = 50; // Ticks a new upgrader spends trying to reach the boost lab before going unboosted
+
+// Factory batteries (RCL7+): storage energy above FACTORY_COMPRESS_THRESHOLD is compressed into
+// batteries (600 energy → 50 batteries) kept in the factory. While detectEmergency flags an
+// emergency and storage is below FACTORY_DECOMPRESS_FLOOR they are turned back into energy (50 → 500) and hauled out.
+const FACTORY_COMPRESS_THRESHOLD = 600000; // Storage energy left uncompressed
+const FACTORY_DECOMPRESS_FLOOR = 10000; // Storage energy below which an emergency releases batteries
+const FACTORY_ENERGY_STOCK = 3000; // Energy haulers keep in the factory while compressing
+
+// Body generation: MOVE parts needed per non-MOVE part to keep full speed (fatigue 1/2/10 per part on road/plain/swamp)
+const MOVE_RATIO_BY_TERRAIN = {
+    road: 0.5,
+    plain: 1,
+    swamp: 5
+};
+// Role body patterns for generateBody - the pattern repeats part by part until the budget or cap is hit
+const BODY_PATTERNS = {
+    miner: { pattern: [WORK, WORK, WORK, WORK, WORK, CARRY], maxParts: 7, partLimits: { [WORK]: 5, [CARRY]: 1 }, moveRatio: 0 }, // 5W saturates a source; parked, 1 MOVE; CARRY only for linked sources
+    hauler: { pattern: [CARRY], maxParts: MAX_CREEP_SIZE, terrain: 'road' }, // CARRY capped by throughput math, MOVE by route terrain
+    upgrader: { pattern: [WORK, CARRY, WORK, WORK], maxParts: 20, terrain: 'road' },
+    builder: { pattern: [WORK, CARRY, WORK], maxParts: 18, terrain: 'road' },
+    mineralMiner: { pattern: [WORK], maxParts: 30, moveRatio: 0.25 }, // Parked on the mineral container; a few MOVE for the walk out
+    filler: { pattern: [CARRY], maxParts: 17, partLimits: { [CARRY]: 16 }, moveRatio: 0 } // Parked by the hub link; 16 CARRY empties a full link
+};
+
+// Runtime configuration overlay. Memory.config overrides the constants above without a redeploy:
+//   Memory.config.global.CREEP_RECYCLE_TTL = 80;                 // all rooms
+//   Memory.config.rooms.W1N1 = { WALL_TARGET_HITS: { 8: 3e6 } };  // one room (tables merge over the defaults)
+// Every value is validated against CONFIG_SCHEMA; invalid overrides are ignored and logged.
+// Changes (console edits or setConfig) are recorded in Memory.config.changelog.
+const CONFIG_SCHEMA = {
+    VISUALIZE_BASE: { default: VISUALIZE_BASE, type: 'boolean' },
+    BASE_LAYOUT: { default: BASE_LAYOUT, type: 'choice', options: ['stamps', 'bunker'] },
+    ENTRANCE_CURTAIN_DEPTH: { default: ENTRANCE_CURTAIN_DEPTH, type: 'number', min: 1, max: 10 },
+    ENTRANCE_OVERHANG_TILES: { default: ENTRANCE_OVERHANG_TILES, type: 'number', min: 0, max: 10 },
+    PERIMETER_MODE: { default: PERIMETER_MODE, type: 'choice', options: ['curtains', 'mincut'] },
+    PERIMETER_CORE_MARGIN: { default: PERIMETER_CORE_MARGIN, type: 'number', min: 1, max: 5 },
+    ALLIES: { default: ALLIES, type: 'names' },
+    GATE_OPEN_RANGE: { default: GATE_OPEN_RANGE, type: 'number', min: 1, max: 10 },
+    GATE_LOCKDOWN_TICKS: { default: GATE_LOCKDOWN_TICKS, type: 'number', min: 0, max: 1500 },
+    WALL_TARGET_HITS: { default: WALL_TARGET_HITS, type: 'rclTable', min: 1, max: WALL_HITS_MAX },
+    RAMPART_TARGET_HITS: { default: RAMPART_TARGET_HITS, type: 'rclTable', min: 1, max: RAMPART_HITS_MAX[8] },
+    CONTAINER_REPAIR_THRESHOLD: { default: CONTAINER_REPAIR_THRESHOLD, type: 'number', min: 0, max: 250000 },
+    CONTAINER_REPAIR_PERCENT: { default: CONTAINER_REPAIR_PERCENT, type: 'number', min: 0, max: 1 },
+    TOWER_REFILL_THRESHOLD: { default: TOWER_REFILL_THRESHOLD, type: 'number', min: 0, max: 1 },
+    CREEP_RECYCLE_TTL: { default: CREEP_RECYCLE_TTL, type: 'number', min: 0, max: CREEP_LIFE_TIME },
+    EMERGENCY_ENERGY_THRESHOLD: { default: EMERGENCY_ENERGY_THRESHOLD, type: 'number', min: 0, max: 12900 },
+    CONTROLLER_DOWNGRADE_EMERGENCY: { default: CONTROLLER_DOWNGRADE_EMERGENCY, type: 'number', min: 0, max: 200000 },
+    SPAWN_QUEUE_TTL: { default: SPAWN_QUEUE_TTL, type: 'number', min: 10, max: 5000 },
+    SPAWN_QUEUE_REFRESH_INTERVAL: { default: SPAWN_QUEUE_REFRESH_INTERVAL, type: 'number', min: 1, max: 100 },
+    MINER_PRESPAWN_BUFFER: { default: MINER_PRESPAWN_BUFFER, type: 'number', min: 0, max: 300 },
+    MINERAL_HAUL_MIN_AMOUNT: { default: MINERAL_HAUL_MIN_AMOUNT, type: 'number', min: 1, max: 2000 },
+    LINK_SEND_MIN: { default: LINK_SEND_MIN, type: 'number', min: 1, max: LINK_CAPACITY },
+    LINK_CONTROLLER_TARGET: { default: LINK_CONTROLLER_TARGET, type: 'number', min: 0, max: LINK_CAPACITY },
+    UPGRADE_FEED_TARGET: { default: UPGRADE_FEED_TARGET, type: 'number', min: 0, max: CONTAINER_CAPACITY },
+    UPGRADE_FEED_WINDOW: { default: UPGRADE_FEED_WINDOW, type: 'number', min: 10, max: 1500 },
+    TERMINAL_RESERVES: { default: TERMINAL_RESERVES, type: 'table', min: 0, max: 300000 },
+    MARKET_PRICE_FLOORS: { default: MARKET_PRICE_FLOORS, type: 'table', min: 0, max: 1000000 },
+    MARKET_INTERVAL: { default: MARKET_INTERVAL, type: 'number', min: 10, max: 10000 },
+    MARKET_MAX_DEAL_AMOUNT: { default: MARKET_MAX_DEAL_AMOUNT, type: 'number', min: 1, max: 300000 },
+    MARKET_SELL_BUFFER: { default: MARKET_SELL_BUFFER, type: 'number', min: 0, max: 300000 },
+    BOOST_STOCK: { default: BOOST_STOCK, type: 'number', min: 0, max: 300000 },
+    BOOST_PRICE_CAPS: { default: BOOST_PRICE_CAPS, type: 'table', min: 0, max: 1000 },
+    BOOST_WAIT_TICKS: { default: BOOST_WAIT_TICKS, type: 'number', min: 0, max: 500 },
+    FACTORY_COMPRESS_THRESHOLD: { default: FACTORY_COMPRESS_THRESHOLD, type: 'number', min: 0, max: STORAGE_CAPACITY },
+    FACTORY_DECOMPRESS_FLOOR: { default: FACTORY_DECOMPRESS_FLOOR, type: 'number', min: 0, max: STORAGE_CAPACITY },
+    FACTORY_ENERGY_STOCK: { default: FACTORY_ENERGY_STOCK, type: 'number', min: 600, max: FACTORY_CAPACITY },
+    CONSTRUCTION_BUDGET_TICKS: { default: CONSTRUCTION_BUDGET_TICKS, type: 'number', min: 100, max: 10000 },
+    CONSTRUCTION_INCOME_SHARE: { default: CONSTRUCTION_INCOME_SHARE, type: 'number', min: 0, max: 1 },
+    CONSTRUCTION_MIN_SITES: { default: CONSTRUCTION_MIN_SITES, type: 'number', min: 1, max: 20 },
+    CONSTRUCTION_SITE_RESERVE: { default: CONSTRUCTION_SITE_RESERVE, type: 'number', min: 0, max: 90 },
+    CONSTRUCTION_LOW_PRIORITY_SHARE: { default: CONSTRUCTION_LOW_PRIORITY_SHARE, type: 'number', min: 0, max: 1 }
+};
+const CONFIG_CHANGELOG_LENGTH = 100; // Entries kept in Memory.config.changelog
+
+// Validated overrides, rebuilt whenever Memory.config changes (lives on the global heap)
+let configCache = null;
+
 module.exports.loop = function () {
     // Clean up memory
     for (const name in Memory.creeps) {
@@ -82,11 +332,12 @@ module.exports.loop = function () {
         }
     }
 
-    // Get the spawn and room
+    // Get the primary spawn and room; every spawn in the room takes part in spawning
     const spawn = Game.spawns[Object.keys(Game.spawns)[0]];
     if (!spawn) return;
     
     const room = spawn.room;
+    const spawns = room.find(FIND_MY_SPAWNS);
     const sources = room.find(FIND_SOURCES);
     
     // Cache structure lookups every 10 ticks for CPU optimization
@@ -114,12 +365,7 @@ module.exports.loop = function () {
     }
     
     // Count creeps by role
-    const creeps = {
-        miner: _.filter(Game.creeps, creep => creep.memory.role === 'miner'),
-        hauler: _.filter(Game.creeps, creep => creep.memory.role === 'hauler'),
-        upgrader: _.filter(Game.creeps, creep => creep.memory.role === 'upgrader'),
-        builder: _.filter(Game.creeps, creep => creep.memory.role === 'builder')
-    };
+    const creeps = getCreepsByRole();
 
     // Check for emergency situations
     const emergency = detectEmergency(room, creeps);
@@ -136,6 +382,10 @@ module.exports.loop = function () {
         // Create initial defensive structures immediately to ensure they get built
         // (other structures can wait for regular construction cycle)
         createInitialDefensiveStructures(room);
+    } else if (Game.time % PLAN_VALIDATE_INTERVAL === 0 ||
+               (room.memory.baseCenter && !room.memory.planStamps && !room.memory.planCleared)) {
+        // Repair a stale or partial plan by re-running only the affected stamps
+        validateBasePlan(room);
     }
 
     // Create construction sites less frequently - only every 20 ticks instead of 5
@@ -158,8 +408,11 @@ module.exports.loop = function () {
         cleanupBuiltStructures(room);
     }
 
-    // Spawn creeps based on needs
-    spawnCreeps(spawn, creeps, sources, emergency);
+    // Spawn creeps based on needs (all idle spawns in parallel)
+    spawnCreeps(spawns, creeps, sources, emergency);
+
+    // Hand out the upgrade feed hauler quota and roll the upgrade rate window
+    manageUpgradeFeed(room, creeps);
 
     // Display clean status dashboard every 20 ticks
     if (Game.time % 20 === 0) {
@@ -172,7 +425,7 @@ module.exports.loop = function () {
         
         // Check if creep should be recycled
         if (shouldRecycleCreep(creep, room)) {
-            recycleCreep(creep, spawn);
+            recycleCreep(creep, creep.pos.findClosestByRange(spawns) || spawn);
             continue; // Skip normal behavior
         }
         
@@ -186,9 +439,20 @@ module.exports.loop = function () {
 
     // Run tower defense and repair
     runTowers(room);
+    
+    // Open gates for allies nearby (runTowers has already locked them if hostiles are in the room)
+    manageGates(room);
 
-    // Visualize base plan every tick for debugging (toggle with VISUALIZE_BASE constant)
-    if (room.memory.basePlanned && VISUALIZE_BASE) {
+    // Sell terminal surplus on the market
+    if (room._structureCache.terminal && Game.time % getConfig('MARKET_INTERVAL', room) === 0) {
+        runTerminal(room);
+    }
+    
+    // Compress surplus energy into batteries, or release them during an emergency
+    runFactory(room, emergency);
+
+    // Visualize base plan every tick for debugging (toggle with VISUALIZE_BASE, overridable via Memory.config)
+    if (room.memory.basePlanned && getConfig('VISUALIZE_BASE', room)) {
         visualizeBasePlan(room);
     }
     
@@ -199,10 +463,276 @@ module.exports.loop = function () {
     manageCPUForPixels();
 }
 
+// Console access to runtime configuration, e.g. require('main').setConfig('CREEP_RECYCLE_TTL', 80, 'W1N1', 'alice')
+module.exports.setConfig = setConfig;
+module.exports.getConfig = getConfig;
+
+// Console command API. Every command takes an optional room name and defaults to the
+// room of the first spawn, e.g. mini.status(), mini.spawn('hauler'), mini.setRole('haul:1a2b', 'builder')
+global.mini = {
+    help() {
+        return [
+            'mini.status([room])              - print the status dashboard',
+            'mini.replan([room])              - discard the base plan and plan again',
+            'mini.clearPlan([room])           - discard the base plan without replanning',
+            'mini.spawn(role, [room])         - queue a creep ahead of the population targets',
+            'mini.setRole(creepName, role)    - reassign a creep to another role',
+            'mini.pauseBuilding([room])       - stop placing and building construction sites',
+            'mini.resumeBuilding([room])      - resume construction',
+            'mini.config(key, value, [room], [by]) - override a setting (value undefined clears it)'
+        ].join('\n');
+    },
+    
+    status(roomName) {
+        const room = getConsoleRoom(roomName);
+        if (!room) return `No owned room ${roomName || ''}`;
+        displayStatusDashboard(room, getCreepsByRole());
+        return 'OK';
+    },
+    
+    replan(roomName) {
+        const room = getConsoleRoom(roomName);
+        if (!room) return `No owned room ${roomName || ''}`;
+        room.memory.plannedStructures = [];
+        room.memory.baseCenter = null;
+        delete room.memory.planStamps;
+        delete room.memory.planCleared;
+        delete room.memory.linkRoles;
+        delete room.memory.distanceMetrics; // Route roads change with the plan
+        room.memory.basePlanned = true;
+        planBase(room);
+        createInitialDefensiveStructures(room);
+        return `Replanned ${room.name}: ${room.memory.plannedStructures.length} structures planned`;
+    },
+    
+    clearPlan(roomName) {
+        const room = getConsoleRoom(roomName);
+        if (!room) return `No owned room ${roomName || ''}`;
+        // Keep basePlanned set and stop validation so nothing plans again on its own
+        room.memory.plannedStructures = [];
+        room.memory.basePlanned = true;
+        room.memory.planCleared = true;
+        delete room.memory.planStamps;
+        delete room.memory.linkRoles;
+        return `Cleared base plan for ${room.name} (mini.replan() to plan again)`;
+    },
+    
+    spawn(role, roomName) {
+        const room = getConsoleRoom(roomName);
+        if (!room) return `No owned room ${roomName || ''}`;
+        if (!SPAWN_NAME_PREFIX[role]) return `Unknown role ${role} (${Object.keys(SPAWN_NAME_PREFIX).join(', ')})`;
+        
+        const sources = room.find(FIND_SOURCES);
+        const creeps = getCreepsByRole();
+        const memory = {};
+        if (role === 'miner' && sources.length > 0) {
+            // First source without a miner alive or queued (as refreshSpawnQueue picks), else the one with fewest
+            const assignedSources = creeps.miner.map(m => m.memory.sourceId)
+                .concat(getSpawnQueue(room).filter(entry => entry.role === 'miner').map(entry => entry.memory.sourceId));
+            memory.sourceId = _.min(sources, s => assignedSources.filter(id => id === s.id).length).id;
+        } else if (role === 'hauler' && sources.length > 0) {
+            memory.assignedSource = pickHaulerSource(room, sources, creeps).id;
+        }
+        const body = role === 'hauler' && memory.assignedSource ?
+            getHaulerBodyForSource(room, memory.assignedSource, room.energyCapacityAvailable) :
+            getBodiesByEnergyCapacity(room.energyCapacityAvailable)[role];
+        
+        // spawnCreeps picks it up next tick; manual entries survive population trimming
+        const entry = enqueueSpawn(room, role, body, SPAWN_PRIORITY.manual, memory, '🖐️ console request');
+        entry.manual = true;
+        return `Queued ${role} (${body.length} parts, ${calculateBodyCost(body)} energy) in ${room.name}`;
+    },
+    
+    setRole(creepName, role) {
+        const creep = Game.creeps[creepName];
+        if (!creep) return `No creep named ${creepName}`;
+        if (!SPAWN_NAME_PREFIX[role]) return `Unknown role ${role} (${Object.keys(SPAWN_NAME_PREFIX).join(', ')})`;
+        
+        const previousRole = creep.memory.role;
+        // Drop task state from the old role; the new role assigns its own
+        creep.memory = { role: role };
+        return `${creepName}: ${previousRole} → ${role}`;
+    },
+    
+    pauseBuilding(roomName) {
+        const room = getConsoleRoom(roomName);
+        if (!room) return `No owned room ${roomName || ''}`;
+        room.memory.buildingPaused = true;
+        delete room.memory.sharedConstructionTarget;
+        // Builders drop construction targets (repairs continue)
+        _.filter(Game.creeps, c => c.memory.role === 'builder' && c.room.name === room.name && !c.memory.isRepairTask)
+            .forEach(c => delete c.memory.buildTarget);
+        return `Building paused in ${room.name}`;
+    },
+    
+    resumeBuilding(roomName) {
+        const room = getConsoleRoom(roomName);
+        if (!room) return `No owned room ${roomName || ''}`;
+        delete room.memory.buildingPaused;
+        return `Building resumed in ${room.name}`;
+    },
+    
+    config(key, value, roomName, by) {
+        const error = setConfig(key, value, roomName, by || 'mini.config');
+        return error ? `Rejected: ${error}` : `${key} = ${JSON.stringify(getConfig(key, roomName ? Game.rooms[roomName] || { name: roomName } : null))}`;
+    }
+};
+
+// Helper function: Room a console command applies to - the named owned room, or the first spawn's room
+function getConsoleRoom(roomName) {
+    if (roomName) {
+        const room = Game.rooms[roomName];
+        return room && room.controller && room.controller.my ? room : null;
+    }
+    const spawn = Game.spawns[Object.keys(Game.spawns)[0]];
+    return spawn ? spawn.room : null;
+}
+
+// Effective value of a tunable: room override, then global override, then the default constant.
+// Table values (hits per RCL, reserves, price floors) merge key by key over the defaults.
+function getConfig(key, room) {
+    const schema = CONFIG_SCHEMA[key];
+    const config = configCache && configCache.time === Game.time ? configCache : syncConfig();
+    const globalValue = config.global[key];
+    const roomValue = room && config.rooms[room.name] ? config.rooms[room.name][key] : undefined;
+    
+    if (schema.type === 'rclTable' || schema.type === 'table') {
+        return Object.assign({}, schema.default, globalValue, roomValue);
+    }
+    if (roomValue !== undefined) return roomValue;
+    if (globalValue !== undefined) return globalValue;
+    return schema.default;
+}
+
+// Set (or clear with value undefined) an override from code or the console, recording who changed it.
+// Returns an error string when the value is rejected, otherwise null.
+function setConfig(key, value, roomName, by) {
+    if (value !== undefined) {
+        const error = validateConfigValue(key, value);
+        if (error) {
+            console.log(`⚠️ Config: rejected ${key}=${JSON.stringify(value)} (${error})`);
+            return error;
+        }
+    }
+    
+    const memoryConfig = getMemoryConfig();
+    const scope = roomName ? (memoryConfig.rooms[roomName] = memoryConfig.rooms[roomName] || {}) : memoryConfig.global;
+    if (value === undefined) {
+        delete scope[key];
+    } else {
+        scope[key] = value;
+    }
+    
+    syncConfig(by || 'setConfig');
+    return null;
+}
+
+// Helper function: Memory.config with its sections initialized
+function getMemoryConfig() {
+    if (!Memory.config) {
+        Memory.config = {};
+    }
+    const memoryConfig = Memory.config;
+    if (!memoryConfig.global) memoryConfig.global = {};
+    if (!memoryConfig.rooms) memoryConfig.rooms = {};
+    if (!memoryConfig.changelog) memoryConfig.changelog = [];
+    return memoryConfig;
+}
+
+// Re-validate Memory.config when it changed since the last call and log what changed.
+// getConfig syncs once per tick (one JSON.stringify of the overrides); setConfig syncs right away.
+function syncConfig(by) {
+    const memoryConfig = Memory.config || {};
+    const raw = JSON.stringify([memoryConfig.global, memoryConfig.rooms]);
+    if (configCache && configCache.raw === raw) {
+        configCache.time = Game.time;
+        return configCache;
+    }
+    
+    const next = { raw: raw, time: Game.time, global: validateConfigScope(memoryConfig.global, 'global'), rooms: {} };
+    for (const roomName in memoryConfig.rooms || {}) {
+        next.rooms[roomName] = validateConfigScope(memoryConfig.rooms[roomName], roomName);
+    }
+    
+    // First sync after a global reset has nothing to compare against
+    if (configCache) {
+        recordConfigChanges(configCache, next, by || 'console');
+    }
+    configCache = next;
+    return next;
+}
+
+// Helper function: Valid overrides of one scope (global or a room); invalid ones are logged and dropped
+function validateConfigScope(overrides, scopeName) {
+    const valid = {};
+    for (const key in overrides || {}) {
+        const error = validateConfigValue(key, overrides[key]);
+        if (error) {
+            console.log(`⚠️ Config: ignoring ${scopeName} ${key}=${JSON.stringify(overrides[key])} (${error})`);
+        } else {
+            valid[key] = overrides[key];
+        }
+    }
+    return valid;
+}
+
+// Helper function: Check a value against CONFIG_SCHEMA. Returns an error string or null.
+function validateConfigValue(key, value) {
+    const schema = CONFIG_SCHEMA[key];
+    if (!schema) return 'unknown setting';
+    
+    const checkNumber = (n) => {
+        if (typeof n !== 'number' || !isFinite(n)) return 'expected a number';
+        if (n < schema.min || n > schema.max) return `expected ${schema.min}-${schema.max}`;
+        return null;
+    };
+    
+    switch (schema.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'expected true or false';
+        case 'number':
+            return checkNumber(value);
+        case 'choice':
+            return schema.options.indexOf(value) !== -1 ? null : `expected one of ${schema.options.join(', ')}`;
+        case 'names':
+            return Array.isArray(value) && value.every(name => typeof name === 'string') ? null : 'expected a list of player names';
+        case 'rclTable':
+        case 'table': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return 'expected an object';
+            for (const entry in value) {
+                if (!(entry in schema.default)) return `unknown entry ${entry}`;
+                const error = checkNumber(value[entry]);
+                if (error) return `${entry}: ${error}`;
+            }
+            return null;
+        }
+    }
+    return 'unsupported setting type';
+}
+
+// Helper function: Append every changed override to Memory.config.changelog
+function recordConfigChanges(previous, next, by) {
+    const changelog = getMemoryConfig().changelog;
+    const scopes = [['global', previous.global, next.global]];
+    const roomNames = _.union(Object.keys(previous.rooms), Object.keys(next.rooms));
+    roomNames.forEach(roomName => scopes.push([roomName, previous.rooms[roomName] || {}, next.rooms[roomName] || {}]));
+    
+    for (const [scope, before, after] of scopes) {
+        for (const key of _.union(Object.keys(before), Object.keys(after))) {
+            if (JSON.stringify(before[key]) === JSON.stringify(after[key])) continue;
+            changelog.push({ time: Game.time, scope: scope, key: key, from: before[key], to: after[key], by: by });
+            console.log(`⚙️ Config: ${scope} ${key} ${JSON.stringify(before[key])} → ${JSON.stringify(after[key])} (by ${by})`);
+        }
+    }
+    
+    if (changelog.length > CONFIG_CHANGELOG_LENGTH) {
+        changelog.splice(0, changelog.length - CONFIG_CHANGELOG_LENGTH);
+    }
+}
+
 function planBase(room) {
     const controller = room.controller;
     const spawn = room.find(FIND_MY_SPAWNS)[0];
-    const sources = room.find(FIND_SOURCES);
     
     // Initialize base planning storage - only if not already initialized
     if (!room.memory.plannedStructures) {
@@ -219,48 +749,27 @@ function planBase(room) {
         return;
     }
     
-    room.memory.baseCenter = { x: anchor.x, y: anchor.y };
-    console.log(`Base anchor positioned at ${anchor.x},${anchor.y}`);
-    
-    // Place core stamp (spawn area + extensions)
-    placeCoreStamp(room, spawn);
-    console.log(`🟡 Core stamp placed. Planned structures: ${room.memory.plannedStructures.length}`);
-    
-    // Place source stamps (containers + roads)
-    for (const source of sources) {
-        placeSourceStamp(room, source);
-        console.log(`🟢 Source stamp placed for source ${source.id}. Planned structures: ${room.memory.plannedStructures.length}`);
+    // The bunker centres on its own anchor, lined up so the existing spawn is one of its spawns
+    let baseCenter = anchor;
+    room.memory.baseLayout = 'stamps';
+    if (getConfig('BASE_LAYOUT', room) === 'bunker') {
+        const bunkerCenter = findBunkerCenter(room, spawn, anchor);
+        if (bunkerCenter) {
+            baseCenter = bunkerCenter;
+            room.memory.baseLayout = 'bunker';
+        } else {
+            console.log(`⚠️ Bunker layout doesn't fit around the spawn in ${room.name} - using the stamp layout`);
+        }
     }
     
-    // Place controller stamp (container + roads)
-    placeControllerStamp(room, controller, anchor);
-    console.log(`🔵 Controller stamp placed. Planned structures: ${room.memory.plannedStructures.length}`);
-    
-    // Always plan extension fields near spawn, regardless of RCL
-    console.log(`🟦 Planning extensions near spawn (future-proof, not gated by RCL)...`);
-    placeExtensionFieldsOptimal(room, spawn);
-    console.log(`🟣 Extension fields placed. Planned structures: ${room.memory.plannedStructures.length}`);
+    room.memory.baseCenter = { x: baseCenter.x, y: baseCenter.y };
+    room.memory.perimeterMode = getConfig('PERIMETER_MODE', room);
+    console.log(`Base anchor positioned at ${baseCenter.x},${baseCenter.y} (${room.memory.baseLayout} layout, ${room.memory.perimeterMode} perimeter)`);
     
-    // Always plan tower clusters for better defense coverage, regardless of RCL
-    placeDefenseStampsOptimal(room, spawn);
-    console.log(`🧡 Defense stamps placed. Planned structures: ${room.memory.plannedStructures.length}`);
-        
-    // Connect everything with roads
-    planRoadNetwork(room, anchor, sources, controller);
-    console.log(`🛣️ Road network planned. Planned structures: ${room.memory.plannedStructures.length}`);
-    
-    // Place minimal bookend walls - just 2 walls per entrance at the endpoints
-    // This strategy places walls only at the ends of each passable span, allowing
-    // enemies to enter but significantly restricting their movement options
-    const edgeSealPlan = planMinimalEdgeSeal(room);
-    buildPlannedEdgeSeal(room, edgeSealPlan);
-    console.log(`🧱 Bookend walls planned. Planned structures: ${room.memory.plannedStructures.length}`);
-
-    // Add an interior "curtain" line 2 tiles inside the room across each entrance
-    // with a single center rampart as a friendly gate.
-    const entranceCurtainPlan = planEntranceCurtains(room);
-    buildEntranceCurtains(room, entranceCurtainPlan);
-    console.log(`🟤 Entrance curtains planned. Planned structures: ${room.memory.plannedStructures.length}`);
+    // Run every stamp in order, recording what each one planned (see validateBasePlan)
+    for (const stamp of PLAN_STAMPS) {
+        runPlanStamp(room, stamp);
+    }
     
     console.log(`Base planned with ${room.memory.plannedStructures.length} structures`);
     
@@ -272,61 +781,472 @@ function planBase(room) {
     }
 }
 
+// Place a single planner stamp. Each stamp only appends to room.memory.plannedStructures.
+function placePlanStamp(room, name) {
+    const anchor = room.memory.baseCenter;
+    const spawn = room.find(FIND_MY_SPAWNS)[0];
+    const sources = room.find(FIND_SOURCES);
+    const controller = room.controller;
+    if (!anchor || !spawn) return;
+    
+    // The bunker holds the spawns, extensions and towers the separate stamps would place
+    const bunker = room.memory.baseLayout === 'bunker';
+    if (bunker && (name === 'spawns' || name === 'extensions' || name === 'defense' || name === 'labs' || name === 'utility')) return;
+    
+    // The min-cut perimeter replaces the bookend walls and curtains (rooms planned before it keep curtains)
+    const mincut = room.memory.perimeterMode === 'mincut';
+    if (mincut ? (name === 'edgeSeal' || name === 'curtains') : name === 'perimeter') return;
+    
+    switch (name) {
+        case 'core':
+            if (bunker) {
+                // Place the whole bunker (every RCL8 base structure + internal roads + rampart ring)
+                placeBunkerStamp(room, anchor);
+                console.log(`🏰 Bunker stamp placed. Planned structures: ${room.memory.plannedStructures.length}`);
+                break;
+            }
+            // Place core stamp (spawn area + extensions)
+            placeCoreStamp(room, spawn);
+            console.log(`🟡 Core stamp placed. Planned structures: ${room.memory.plannedStructures.length}`);
+            break;
+        case 'spawns':
+            // Reserve the 2nd/3rd spawn slots (RCL7/8) next to the core
+            placeAdditionalSpawns(room, spawn);
+            console.log(`⚪ Additional spawns placed. Planned structures: ${room.memory.plannedStructures.length}`);
+            break;
+        case 'sources':
+            // Place source stamps (containers + roads)
+            for (const source of sources) {
+                placeSourceStamp(room, source);
+                console.log(`🟢 Source stamp placed for source ${source.id}. Planned structures: ${room.memory.plannedStructures.length}`);
+            }
+            break;
+        case 'controller':
+            // Place controller stamp (container + roads)
+            placeControllerStamp(room, controller, anchor);
+            console.log(`🔵 Controller stamp placed. Planned structures: ${room.memory.plannedStructures.length}`);
+            break;
+        case 'mineral': {
+            // Place mineral stamp (extractor + container, built from RCL6)
+            const mineral = room.find(FIND_MINERALS)[0];
+            if (mineral) {
+                placeMineralStamp(room, mineral, anchor);
+                console.log(`🟪 Mineral stamp placed. Planned structures: ${room.memory.plannedStructures.length}`);
+            }
+            break;
+        }
+        case 'extensions':
+            // Always plan extension fields near spawn, regardless of RCL
+            console.log(`🟦 Planning extensions near spawn (future-proof, not gated by RCL)...`);
+            placeExtensionFieldsOptimal(room, spawn);
+            console.log(`🟣 Extension fields placed. Planned structures: ${room.memory.plannedStructures.length}`);
+            break;
+        case 'defense':
+            // Always plan tower clusters for better defense coverage, regardless of RCL
+            placeDefenseStampsOptimal(room, spawn);
+            console.log(`🧡 Defense stamps placed. Planned structures: ${room.memory.plannedStructures.length}`);
+            break;
+        case 'labs':
+            // Reserve the 10-lab cluster (built from RCL6)
+            placeLabClusterStamp(room, spawn);
+            console.log(`🧪 Lab cluster placed. Planned structures: ${room.memory.plannedStructures.length}`);
+            break;
+        case 'utility':
+            // Reserve factory (RCL7), power spawn, observer and nuker (RCL8) near storage
+            placeUtilityStamps(room, spawn);
+            console.log(`🏭 Utility structures placed. Planned structures: ${room.memory.plannedStructures.length}`);
+            break;
+        case 'links':
+            // Source and controller links (the hub link is part of the core)
+            placeLinkStamps(room, sources, controller, anchor);
+            console.log(`🔗 Links placed. Planned structures: ${room.memory.plannedStructures.length}`);
+            break;
+        case 'roads':
+            // Connect everything with roads
+            planRoadNetwork(room, anchor, sources, controller);
+            console.log(`🛣️ Road network planned. Planned structures: ${room.memory.plannedStructures.length}`);
+            break;
+        case 'edgeSeal': {
+            // Place minimal bookend walls - just 2 walls per entrance at the endpoints
+            // This strategy places walls only at the ends of each passable span, allowing
+            // enemies to enter but significantly restricting their movement options
+            const edgeSealPlan = planMinimalEdgeSeal(room);
+            buildPlannedEdgeSeal(room, edgeSealPlan);
+            console.log(`🧱 Bookend walls planned. Planned structures: ${room.memory.plannedStructures.length}`);
+            break;
+        }
+        case 'curtains': {
+            // Add an interior "curtain" line 2 tiles inside the room across each entrance
+            // with a single center rampart as a friendly gate.
+            const entranceCurtainPlan = planEntranceCurtains(room);
+            buildEntranceCurtains(room, entranceCurtainPlan);
+            console.log(`🟤 Entrance curtains planned. Planned structures: ${room.memory.plannedStructures.length}`);
+            break;
+        }
+        case 'perimeter': {
+            // Ramparts on the min-cut between the exits and everything worth defending
+            const perimeter = planMinCutPerimeter(room);
+            perimeter.forEach(pos => addStampToPlannedStructures(room, pos, [[0, 0, STRUCTURE_RAMPART]]));
+            console.log(`🟩 Min-cut perimeter planned. Planned structures: ${room.memory.plannedStructures.length}`);
+            break;
+        }
+    }
+}
+
+// Run one planner stamp and record what it planned in room.memory.planStamps, so the
+// plan can be validated later and this stamp re-run on its own. Returns the new entries.
+function runPlanStamp(room, stamp) {
+    const before = room.memory.plannedStructures.length;
+    room._stampBuiltCollector = []; // Filled by addStampToPlannedStructures with already-built tiles
+    placePlanStamp(room, stamp.name);
+    
+    const added = room.memory.plannedStructures.slice(before);
+    added.forEach(planned => planned.stamp = stamp.name);
+    const layout = added.concat(room._stampBuiltCollector).map(s => ({ x: s.x, y: s.y, type: s.type }));
+    delete room._stampBuiltCollector;
+    
+    if (!room.memory.planStamps) {
+        room.memory.planStamps = {};
+    }
+    const previous = room.memory.planStamps[stamp.name];
+    room.memory.planStamps[stamp.name] = {
+        version: stamp.version,
+        plannedAt: Game.time,
+        structures: _.uniq((previous ? previous.structures : []).concat(layout), s => `${s.x},${s.y},${s.type}`)
+    };
+    return added;
+}
+
+// Detect a stale or partial plan and repair it incrementally:
+// - no anchor (planning aborted): plan from scratch
+// - stamps never run or run with an older PLAN_STAMPS version: re-run them
+// - planned tiles now blocked by something built since (e.g. a hand-placed spawn): drop them, re-run that stamp
+// - built structures that were destroyed: put them back in the plan
+// Changes are kept as a diff in room.memory.planHistory.
+function validateBasePlan(room) {
+    if (!room.memory.plannedStructures || room.memory.planCleared) return;
+    
+    const diff = { added: [], removed: [], stamps: [] };
+    
+    if (!room.memory.baseCenter) {
+        planBase(room);
+        diff.added = room.memory.plannedStructures.slice();
+        diff.stamps = room.memory.baseCenter ? PLAN_STAMPS.map(stamp => stamp.name) : [];
+        recordPlanDiff(room, 'missing anchor', diff);
+        return;
+    }
+    
+    if (!room.memory.planStamps) {
+        adoptUntrackedPlan(room);
+    }
+    const planStamps = room.memory.planStamps;
+    const affected = new Set();
+    
+    PLAN_STAMPS.forEach(stamp => {
+        const record = planStamps[stamp.name];
+        if (!record || record.version !== stamp.version) affected.add(stamp.name);
+    });
+    
+    for (const name in planStamps) {
+        planStamps[name].structures = planStamps[name].structures.filter(entry => {
+            const built = room.lookForAt(LOOK_STRUCTURES, entry.x, entry.y);
+            if (built.some(s => s.structureType === entry.type)) return true;
+            
+            const planned = _.find(room.memory.plannedStructures, p => p.x === entry.x && p.y === entry.y && p.type === entry.type);
+            const sites = room.lookForAt(LOOK_CONSTRUCTION_SITES, entry.x, entry.y);
+            if (isPlanTileBlocked(entry, built, sites)) {
+                if (planned) _.pull(room.memory.plannedStructures, planned);
+                diff.removed.push({ x: entry.x, y: entry.y, type: entry.type, stamp: name });
+                affected.add(name);
+                return false;
+            }
+            
+            if (!planned && !sites.some(site => site.structureType === entry.type)) {
+                // Built once (cleanupBuiltStructures dropped it from the plan) and since destroyed
+                const restored = { x: entry.x, y: entry.y, type: entry.type, stamp: name };
+                room.memory.plannedStructures.push(restored);
+                diff.added.push(restored);
+            }
+            return true;
+        });
+    }
+    
+    // Roads route around structures and the min-cut perimeter encloses them, so both follow any other re-run stamp
+    const perimeterStamps = ['edgeSeal', 'curtains', 'perimeter'];
+    if (PLAN_STAMPS.some(stamp => affected.has(stamp.name) && perimeterStamps.indexOf(stamp.name) === -1)) {
+        affected.add('roads');
+        affected.add('perimeter');
+    }
+    
+    for (const stamp of PLAN_STAMPS) {
+        if (!affected.has(stamp.name)) continue;
+        
+        // Replace the stamp's unbuilt entries; its built ones stay in the layout
+        const stale = _.remove(room.memory.plannedStructures, p => p.stamp === stamp.name);
+        if (planStamps[stamp.name]) {
+            planStamps[stamp.name].structures = planStamps[stamp.name].structures.filter(entry =>
+                !stale.some(p => p.x === entry.x && p.y === entry.y && p.type === entry.type));
+        }
+        const added = runPlanStamp(room, stamp);
+        
+        // Net change only: entries the re-run placed again aren't part of the diff
+        stale.forEach(p => {
+            if (!added.some(a => a.x === p.x && a.y === p.y && a.type === p.type)) diff.removed.push(p);
+        });
+        added.forEach(a => {
+            if (!stale.some(p => p.x === a.x && p.y === a.y && p.type === a.type)) diff.added.push(a);
+        });
+        diff.stamps.push(stamp.name);
+    }
+    
+    trimPlanToStructureLimits(room, diff);
+    
+    if (diff.added.length > 0 || diff.removed.length > 0 || diff.stamps.length > 0) {
+        recordPlanDiff(room, diff.stamps.length > 0 ? 'stale stamps' : 'restored destroyed structures', diff);
+    }
+}
 
+// Helper function: Whether something built (or being built) since planning occupies a planned tile
+function isPlanTileBlocked(entry, built, sites) {
+    // Ramparts sit on top of anything
+    if (entry.type === STRUCTURE_RAMPART) return false;
+    
+    const blocks = (type) => type !== entry.type && type !== STRUCTURE_RAMPART &&
+        type !== STRUCTURE_ROAD && !(entry.type === STRUCTURE_ROAD && type === STRUCTURE_CONTAINER);
+    return built.some(s => blocks(s.structureType)) || sites.some(site => blocks(site.structureType));
+}
 
-// Distance transform to find best anchor position
-function findOptimalAnchor(room, controller, spawn) {
+// Helper function: Rooms planned before stamps were tracked. Keep their plan as it is, recording
+// it (plus what's already built) as one 'untracked' layout so destroyed structures still get restored.
+// Stamps are marked current, except the mineral stamp when no extractor was ever planned.
+function adoptUntrackedPlan(room) {
+    const built = room.find(FIND_STRUCTURES, {
+        filter: s => s.my || s.structureType === STRUCTURE_ROAD || s.structureType === STRUCTURE_CONTAINER || s.structureType === STRUCTURE_WALL
+    });
+    const structures = room.memory.plannedStructures.map(p => ({ x: p.x, y: p.y, type: p.type }))
+        .concat(built.filter(s => s.structureType !== STRUCTURE_CONTROLLER)
+            .map(s => ({ x: s.pos.x, y: s.pos.y, type: s.structureType })));
+    
+    room.memory.planStamps = { untracked: { version: 0, plannedAt: Game.time, structures: structures } };
+    
+    const hasExtractor = structures.some(s => s.type === STRUCTURE_EXTRACTOR);
+    PLAN_STAMPS.forEach(stamp => {
+        if (stamp.name === 'mineral' && !hasExtractor) return;
+        room.memory.planStamps[stamp.name] = { version: stamp.version, plannedAt: Game.time, structures: [] };
+    });
+    console.log(`📋 Adopted untracked base plan for ${room.name} (${structures.length} structures)`);
+}
+
+// Helper function: Never plan more of a structure type than RCL8 allows; drop the newest
+// additions of over-planned types, farthest from the spawn first
+function trimPlanToStructureLimits(room, diff) {
+    const spawn = room.find(FIND_MY_SPAWNS)[0];
+    const types = _.uniq(diff.added.map(p => p.type));
+    
+    for (const type of types) {
+        const limit = getMaxStructuresByRCL(8, type);
+        if (limit === 0) continue; // Type has no tracked limit
+        
+        const builtCount = room.find(FIND_STRUCTURES, { filter: s => s.structureType === type }).length;
+        const plannedCount = room.memory.plannedStructures.filter(p => p.type === type).length;
+        let excess = builtCount + plannedCount - limit;
+        if (excess <= 0) continue;
+        
+        const candidates = _.sortBy(diff.added.filter(p => p.type === type),
+            p => spawn ? -spawn.pos.getRangeTo(p.x, p.y) : 0);
+        for (const p of candidates) {
+            if (excess <= 0) break;
+            _.pull(room.memory.plannedStructures, p);
+            _.pull(diff.added, p);
+            const layout = room.memory.planStamps[p.stamp];
+            if (layout) {
+                _.remove(layout.structures, s => s.x === p.x && s.y === p.y && s.type === p.type);
+            }
+            excess--;
+        }
+    }
+}
+
+// Helper function: Keep the diff of a plan change in room.memory.planHistory
+function recordPlanDiff(room, reason, diff) {
+    if (!room.memory.planHistory) {
+        room.memory.planHistory = [];
+    }
+    const strip = list => list.map(p => ({ x: p.x, y: p.y, type: p.type, stamp: p.stamp }));
+    room.memory.planHistory.push({
+        time: Game.time,
+        reason: reason,
+        stamps: diff.stamps,
+        added: strip(diff.added),
+        removed: strip(diff.removed)
+    });
+    if (room.memory.planHistory.length > PLAN_HISTORY_LENGTH) {
+        room.memory.planHistory.splice(0, room.memory.planHistory.length - PLAN_HISTORY_LENGTH);
+    }
+    console.log(`📋 Plan updated (${reason}): +${diff.added.length} / -${diff.removed.length} structures` +
+        (diff.stamps.length > 0 ? `, re-ran ${diff.stamps.join(', ')}` : ''));
+}
+
+// Distance transform: Chebyshev distance from every tile to the nearest terrain wall, with
+// the room edge counting as a wall. Two passes (top-left → bottom-right, then back) over the
+// room instead of a wall scan per tile. Cached on the room object for the rest of the tick.
+function getDistanceTransform(room) {
+    if (room._distanceTransform) return room._distanceTransform;
+    
     const terrain = new Room.Terrain(room.name);
-    const distanceMatrix = new PathFinder.CostMatrix();
+    const distances = new PathFinder.CostMatrix();
+    const get = (x, y) => (x < 0 || x > 49 || y < 0 || y > 49) ? 0 : distances.get(x, y);
     
-    // Calculate distance from walls for each position
-    for (let x = 5; x < 45; x++) {
-        for (let y = 5; y < 45; y++) {
+    // Forward pass: neighbours above and to the left are already final for this pass
+    for (let y = 0; y < 50; y++) {
+        for (let x = 0; x < 50; x++) {
             if (terrain.get(x, y) === TERRAIN_MASK_WALL) {
-                distanceMatrix.set(x, y, 0);
+                distances.set(x, y, 0);
                 continue;
             }
-            
-            // Find distance to nearest wall
-            let minDist = 50;
-            for (let dx = -4; dx <= 4; dx++) {
-                for (let dy = -4; dy <= 4; dy++) {
-                    const checkX = x + dx;
-                    const checkY = y + dy;
-                    if (checkX < 0 || checkX > 49 || checkY < 0 || checkY > 49) continue;
-                    if (terrain.get(checkX, checkY) === TERRAIN_MASK_WALL) {
-                        const dist = Math.max(Math.abs(dx), Math.abs(dy));
-                        minDist = Math.min(minDist, dist);
-                    }
+            distances.set(x, y, Math.min(get(x - 1, y), get(x - 1, y - 1), get(x, y - 1), get(x + 1, y - 1)) + 1);
+        }
+    }
+    
+    // Backward pass: fold in neighbours below and to the right
+    for (let y = 49; y >= 0; y--) {
+        for (let x = 49; x >= 0; x--) {
+            if (distances.get(x, y) === 0) continue;
+            const fromBelow = Math.min(get(x + 1, y), get(x + 1, y + 1), get(x, y + 1), get(x - 1, y + 1)) + 1;
+            if (fromBelow < distances.get(x, y)) {
+                distances.set(x, y, fromBelow);
+            }
+        }
+    }
+    
+    room._distanceTransform = distances;
+    return distances;
+}
+
+// Flood fill: walking distance (8-way steps around terrain walls) from the origins to every
+// tile, indexed y * 50 + x; Infinity where unreachable. Origins may sit on walls (sources, controller).
+function getFloodFillDistances(room, origins) {
+    const terrain = new Room.Terrain(room.name);
+    const distances = new Array(2500).fill(Infinity);
+    let frontier = [];
+    
+    origins.forEach(origin => {
+        distances[origin.y * 50 + origin.x] = 0;
+        frontier.push(origin);
+    });
+    
+    for (let step = 1; frontier.length > 0; step++) {
+        const next = [];
+        for (const tile of frontier) {
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    const x = tile.x + dx;
+                    const y = tile.y + dy;
+                    if (x < 0 || x > 49 || y < 0 || y > 49) continue;
+                    if (distances[y * 50 + x] !== Infinity || terrain.get(x, y) === TERRAIN_MASK_WALL) continue;
+                    distances[y * 50 + x] = step;
+                    next.push({ x, y });
                 }
             }
-            distanceMatrix.set(x, y, minDist);
         }
+        frontier = next;
+    }
+    
+    return distances;
+}
+
+// Find the base anchor: the open tile (distance transform) that minimises expected creep
+// travel - every source's output walks source → base, and the room's income walks on to the
+// controller and spawn. Travel is counted as CARRY parts in transit over true walking distance
+// (flood fill), with the round trip and CARRY model hauler sizing uses (getRoundTripTime,
+// getCarryInTransit); flood fill doesn't know swamps, so routes count as swamp-free here.
+// Never fails while the room has a spawn - tight rooms fall back to the most open tile
+// available, and a room without any falls back to the spawn itself.
+function findOptimalAnchor(room, controller, spawn) {
+    const distances = getDistanceTransform(room);
+    const sources = room.find(FIND_SOURCES);
+    
+    // Edge tiles that aren't walls are exits
+    const terrain = new Room.Terrain(room.name);
+    const exits = [];
+    for (let i = 0; i < 50; i++) {
+        [[i, 0], [i, 49], [0, i], [49, i]].forEach(([x, y]) => {
+            if (terrain.get(x, y) !== TERRAIN_MASK_WALL) exits.push({ x, y });
+        });
     }
     
-    // Find position with good wall distance and reasonable access to controller/spawn
-    let bestPos = null;
-    let bestScore = 0;
+    // Walking distance fields; creeps work sources from range 1, the controller from range 3
+    const sourceFields = sources.map(source => ({
+        distances: getFloodFillDistances(room, [source.pos]),
+        range: 1,
+        energyPerTick: source.energyCapacity / ENERGY_REGEN_TIME
+    }));
+    const totalEnergyPerTick = _.sum(sourceFields, field => field.energyPerTick);
+    const sinkFields = [
+        { distances: getFloodFillDistances(room, [controller.pos]), range: 3, energyPerTick: totalEnergyPerTick * (1 - ANCHOR_SPAWN_ENERGY_SHARE) }
+    ];
+    if (spawn) {
+        sinkFields.push({ distances: getFloodFillDistances(room, [spawn.pos]), range: 1, energyPerTick: totalEnergyPerTick * ANCHOR_SPAWN_ENERGY_SHARE });
+    }
+    const exitDistances = exits.length > 0 ? getFloodFillDistances(room, exits) : null;
+    
+    // CARRY parts in transit per tick over every route from this tile
+    const travelFrom = (index) => {
+        let travel = 0;
+        for (const field of sourceFields.concat(sinkFields)) {
+            const distance = field.distances[index];
+            if (distance === Infinity) return Infinity;
+            travel += getCarryInTransit(field.energyPerTick, getRoundTripTime(Math.max(0, distance - field.range)));
+        }
+        return travel;
+    };
     
-    for (let x = 10; x < 40; x++) {
-        for (let y = 10; y < 40; y++) {
-            const wallDist = distanceMatrix.get(x, y);
-            if (wallDist < 3) continue; // Need space for base
-            
-            const controllerDist = Math.max(Math.abs(x - controller.pos.x), Math.abs(y - controller.pos.y));
-            const spawnDist = Math.max(Math.abs(x - spawn.pos.x), Math.abs(y - spawn.pos.y));
+    // Best tiles in order of preference: room for the base away from exits, room for the
+    // base anywhere, and the most open tile as the tight-room fallback
+    let best = null;
+    let bestNearExit = null;
+    let open = null;
+    const better = (a, b) => !b || a.travel < b.travel || (a.travel === b.travel && a.space > b.space);
+    
+    for (let x = 2; x <= 47; x++) {
+        for (let y = 2; y <= 47; y++) {
+            const wallDist = distances.get(x, y);
+            if (wallDist === 0) continue;
+            const travel = travelFrom(y * 50 + x);
+            if (travel === Infinity) continue; // Walled off from a source, controller or spawn
             
-            // Score: prefer wall distance, penalize excessive distance from controller/spawn
-            const score = wallDist * 2 - Math.min(controllerDist, 15) * 0.5 - Math.min(spawnDist, 10) * 0.3;
-            
-            if (score > bestScore) {
-                bestScore = score;
-                bestPos = { x, y };
+            const candidate = { x, y, travel, space: Math.min(wallDist, ANCHOR_WALL_DISTANCE_CAP), wallDist };
+            if (wallDist >= 3) { // Need space for base
+                const exitDistance = exitDistances ? exitDistances[y * 50 + x] : Infinity;
+                if (exitDistance >= ANCHOR_MIN_EXIT_DISTANCE) {
+                    if (better(candidate, best)) best = candidate;
+                } else if (better(candidate, bestNearExit)) {
+                    bestNearExit = candidate;
+                }
+            }
+            if (!open || wallDist > open.wallDist || (wallDist === open.wallDist && better(candidate, open))) {
+                open = candidate;
             }
         }
     }
     
-    return bestPos;
+    const chosen = best || bestNearExit;
+    if (chosen) {
+        console.log(`⚓ Anchor ${chosen.x},${chosen.y}: ${chosen.travel.toFixed(1)} CARRY parts in transit per tick` +
+            (best ? '' : ` (within ${ANCHOR_MIN_EXIT_DISTANCE} tiles of an exit - no open area further in)`));
+        return { x: chosen.x, y: chosen.y };
+    }
+    
+    if (open) {
+        console.log(`⚠️ No open 5x5 area in ${room.name} - anchoring at the most open tile (${open.x},${open.y}, ${open.wallDist} from walls)`);
+        return { x: open.x, y: open.y };
+    }
+    
+    if (spawn) {
+        console.log(`⚠️ No open anchor tile in ${room.name} - anchoring on the spawn`);
+        return { x: spawn.pos.x, y: spawn.pos.y };
+    }
+    return null;
 }
 
 // Core stamp: Central area with key structures
@@ -361,6 +1281,103 @@ function placeCoreStamp(room, spawn) {
     ];
     
     addStampToPlannedStructures(room, anchor, coreStamp);
+    setLinkRole(room, { x: anchor.x + 4, y: anchor.y }, 'hub'); // The filler parks between it and storage
+}
+
+// Bunker stamp: BUNKER_LAYOUT as [dx, dy, type] entries around its centre, structures
+// before roads so roads never end up underneath
+function getBunkerStamp() {
+    const radius = (BUNKER_LAYOUT.length - 1) / 2;
+    const stamp = [];
+    BUNKER_LAYOUT.forEach((row, y) => {
+        row.split('').forEach((symbol, x) => {
+            if (BUNKER_LEGEND[symbol]) {
+                stamp.push([x - radius, y - radius, BUNKER_LEGEND[symbol]]);
+            }
+        });
+    });
+    return _.sortBy(stamp, ([dx, dy, type]) => type === STRUCTURE_ROAD ? 1 : 0);
+}
+
+// Find where the bunker fits with the existing spawn on one of its spawn slots, taking
+// the fit closest to the planned anchor. Returns null when it fits nowhere.
+function findBunkerCenter(room, spawn, anchor) {
+    if (!spawn) return null;
+    const stamp = getBunkerStamp();
+    const terrain = new Room.Terrain(room.name);
+    const blockers = room.find(FIND_SOURCES).concat(room.find(FIND_MINERALS), [room.controller]);
+    
+    const fits = (center) => stamp.every(([dx, dy, type]) => {
+        const x = center.x + dx;
+        const y = center.y + dy;
+        if (x < 2 || x > 47 || y < 2 || y > 47) return false;
+        if (terrain.get(x, y) === TERRAIN_MASK_WALL) return false;
+        // Keep sources, mineral and controller clear of the bunker so their stamps still fit
+        if (blockers.some(object => object.pos.getRangeTo(x, y) <= 1)) return false;
+        // Built structures may only be what the bunker plans there anyway
+        return room.lookForAt(LOOK_STRUCTURES, x, y).every(s => s.structureType === type || s.structureType === STRUCTURE_ROAD || s.structureType === STRUCTURE_RAMPART);
+    });
+    
+    const centers = stamp.filter(([dx, dy, type]) => type === STRUCTURE_SPAWN)
+        .map(([dx, dy]) => ({ x: spawn.pos.x - dx, y: spawn.pos.y - dy }))
+        .filter(fits);
+    if (centers.length === 0) return null;
+    
+    return _.min(centers, center => Math.max(Math.abs(center.x - anchor.x), Math.abs(center.y - anchor.y)));
+}
+
+// Place the bunker and its rampart ring (ramparts skip walls and room edges)
+function placeBunkerStamp(room, center) {
+    const bunkerStamp = getBunkerStamp();
+    addStampToPlannedStructures(room, center, bunkerStamp);
+    bunkerStamp.filter(([dx, dy, type]) => type === STRUCTURE_LINK)
+        .forEach(([dx, dy]) => setLinkRole(room, { x: center.x + dx, y: center.y + dy }, 'hub'));
+    
+    const terrain = new Room.Terrain(room.name);
+    const rampartRing = [];
+    for (let dx = -BUNKER_RAMPART_RANGE; dx <= BUNKER_RAMPART_RANGE; dx++) {
+        for (let dy = -BUNKER_RAMPART_RANGE; dy <= BUNKER_RAMPART_RANGE; dy++) {
+            if (Math.max(Math.abs(dx), Math.abs(dy)) !== BUNKER_RAMPART_RANGE) continue;
+            const x = center.x + dx;
+            const y = center.y + dy;
+            if (x < 1 || x > 48 || y < 1 || y > 48) continue;
+            if (terrain.get(x, y) === TERRAIN_MASK_WALL) continue;
+            rampartRing.push([dx, dy, STRUCTURE_RAMPART]);
+        }
+    }
+    addStampToPlannedStructures(room, center, rampartRing);
+}
+
+// Additional spawns: RCL7 allows a 2nd spawn and RCL8 a 3rd. Try slots around the
+// core spawn (above/below first so the storage/terminal row stays clear) and take
+// the first valid ones until the RCL8 limit is planned.
+function placeAdditionalSpawns(room, spawn) {
+    const spawnStamp = [[0, 0, STRUCTURE_SPAWN]];
+    const candidateOffsets = [
+        [0, -2], [0, 2],   // Directly above/below the core spawn
+        [-2, -2], [2, -2], // Diagonal slots, leaving a road ring around the core
+        [-2, 2], [2, 2],
+        [0, -3], [0, 3]
+    ];
+    
+    const maxSpawns = getMaxStructuresByRCL(8, STRUCTURE_SPAWN);
+    // Built spawns are never in the plan (addStampToPlannedStructures skips them), so count both
+    let plannedSpawns = room.find(FIND_MY_SPAWNS).length +
+        room.memory.plannedStructures.filter(s => s.type === STRUCTURE_SPAWN).length;
+    
+    for (const [dx, dy] of candidateOffsets) {
+        if (plannedSpawns >= maxSpawns) break;
+        
+        const pos = { x: spawn.pos.x + dx, y: spawn.pos.y + dy };
+        if (isValidStampPosition(room, pos, spawnStamp)) {
+            addStampToPlannedStructures(room, pos, spawnStamp);
+            plannedSpawns++;
+        }
+    }
+    
+    if (plannedSpawns < maxSpawns) {
+        console.log(`⚠️ Only ${plannedSpawns}/${maxSpawns} spawn slots could be planned around the core`);
+    }
 }
 
 
@@ -377,48 +1394,45 @@ function placeExtensionFieldsOptimal(room, spawn) {
     ];
     
     const spawnPos = spawn.pos;
-    const candidatePositions = [];
-    const terrain = new Room.Terrain(room.name);
+    const distances = getDistanceTransform(room);
     
     // Find candidate positions within reasonable distance of spawn
-    for (let x = Math.max(5, spawnPos.x - 15); x <= Math.min(44, spawnPos.x + 15); x++) {
-        for (let y = Math.max(5, spawnPos.y - 15); y <= Math.min(44, spawnPos.y + 15); y++) {
-            const distanceFromSpawn = Math.max(Math.abs(x - spawnPos.x), Math.abs(y - spawnPos.y));
-            
-            // Check distance to walls - simple validation
-            let wallDistance = 5; // Default safe distance
-            for (let dx = -3; dx <= 3; dx++) {
-                for (let dy = -3; dy <= 3; dy++) {
-                    const checkX = x + dx;
-                    const checkY = y + dy;
-                    if (checkX >= 0 && checkX < 50 && checkY >= 0 && checkY < 50) {
-                        if (terrain.get(checkX, checkY) === TERRAIN_MASK_WALL) {
-                            const dist = Math.max(Math.abs(dx), Math.abs(dy));
-                            if (dist < wallDistance) {
-                                wallDistance = dist;
-                            }
-                        }
+    const collectCandidates = (minWallDistance) => {
+        const candidates = [];
+        for (let x = Math.max(5, spawnPos.x - 15); x <= Math.min(44, spawnPos.x + 15); x++) {
+            for (let y = Math.max(5, spawnPos.y - 15); y <= Math.min(44, spawnPos.y + 15); y++) {
+                const distanceFromSpawn = Math.max(Math.abs(x - spawnPos.x), Math.abs(y - spawnPos.y));
+                const wallDistance = Math.min(distances.get(x, y), 5); // Beyond 5 is just as safe
+                
+                // Good positions: close to spawn, far from walls, can fit stamp
+                if (distanceFromSpawn >= 3 && distanceFromSpawn <= 12 && wallDistance >= minWallDistance) {
+                    if (isValidStampPosition(room, { x, y }, extensionStamp)) {
+                        candidates.push({
+                            x, y,
+                            score: wallDistance * 2 - distanceFromSpawn * 0.5
+                        });
                     }
                 }
             }
-            
-            // Good positions: close to spawn, far from walls, can fit stamp
-            if (distanceFromSpawn >= 3 && distanceFromSpawn <= 12 && wallDistance >= 3) {
-                if (isValidStampPosition(room, { x, y }, extensionStamp)) {
-                    candidatePositions.push({
-                        x, y,
-                        score: wallDistance * 2 - distanceFromSpawn * 0.5
-                    });
-                }
-            }
         }
+        return candidates;
+    };
+    
+    let candidatePositions = collectCandidates(3);
+    if (candidatePositions.length === 0) {
+        // Tight room: the plus stamp itself only needs its own tiles clear of walls
+        console.log(`⚠️ No open extension field spots in ${room.name} - allowing fields closer to walls`);
+        candidatePositions = collectCandidates(2);
     }
     
     // Sort by score and place best positions
     candidatePositions.sort((a, b) => b.score - a.score);
     
     let placed = 0;
-    const maxExtensionFields = 8; // Limit number of extension fields
+    // Enough fields for the RCL8 extension count on top of the core stamp's extensions
+    const plannedExtensions = room.memory.plannedStructures.filter(s => s.type === STRUCTURE_EXTENSION).length +
+        room.find(FIND_STRUCTURES, { filter: s => s.structureType === STRUCTURE_EXTENSION }).length;
+    const maxExtensionFields = Math.ceil(Math.max(0, getMaxStructuresByRCL(8, STRUCTURE_EXTENSION) - plannedExtensions) / extensionStamp.length);
     
     for (const pos of candidatePositions) {
         if (placed >= maxExtensionFields) break;
@@ -480,46 +1494,40 @@ function placeDefenseStampsOptimal(room, spawn) {
     ];
     
     const spawnPos = spawn.pos;
-    const terrain = new Room.Terrain(room.name);
-    let bestPosition = null;
-    let bestScore = 0;
+    const distances = getDistanceTransform(room);
     
     // Look for an optimal position for the turret cluster
-    for (let x = Math.max(5, spawnPos.x - 10); x <= Math.min(44, spawnPos.x + 10); x++) {
-        for (let y = Math.max(5, spawnPos.y - 10); y <= Math.min(44, spawnPos.y + 10); y++) {
-            const distanceFromSpawn = Math.max(Math.abs(x - spawnPos.x), Math.abs(y - spawnPos.y));
-            
-            // Check distance to walls - simple validation
-            let wallDistance = 5; // Default safe distance
-            for (let dx = -3; dx <= 3; dx++) {
-                for (let dy = -3; dy <= 3; dy++) {
-                    const checkX = x + dx;
-                    const checkY = y + dy;
-                    if (checkX >= 0 && checkX < 50 && checkY >= 0 && checkY < 50) {
-                        if (terrain.get(checkX, checkY) === TERRAIN_MASK_WALL) {
-                            const dist = Math.max(Math.abs(dx), Math.abs(dy));
-                            if (dist < wallDistance) {
-                                wallDistance = dist;
+    const findBestPosition = (minWallDistance) => {
+        let best = null;
+        let bestScore = -Infinity;
+        for (let x = Math.max(5, spawnPos.x - 10); x <= Math.min(44, spawnPos.x + 10); x++) {
+            for (let y = Math.max(5, spawnPos.y - 10); y <= Math.min(44, spawnPos.y + 10); y++) {
+                const distanceFromSpawn = Math.max(Math.abs(x - spawnPos.x), Math.abs(y - spawnPos.y));
+                const wallDistance = Math.min(distances.get(x, y), 5); // Beyond 5 is just as safe
+                
+                // Favor positions with a medium distance from spawn and far from walls
+                if (distanceFromSpawn >= 4 && distanceFromSpawn <= 8 && wallDistance >= minWallDistance) {
+                    if (isValidStampPosition(room, { x, y }, turretClusterStamp)) {
+                        // Additional check: ensure turrets are at least 1 tile away from non-road buildings
+                        if (isStampClearOfStructures(room, { x, y }, turretClusterStamp)) {
+                            const score = wallDistance * 1.5 - distanceFromSpawn * 0.3;
+                            if (score > bestScore) {
+                                bestScore = score;
+                                best = { x, y };
                             }
                         }
                     }
                 }
             }
-            
-            // Favor positions with a medium distance from spawn and far from walls
-            if (distanceFromSpawn >= 4 && distanceFromSpawn <= 8 && wallDistance >= 3) {
-                if (isValidStampPosition(room, { x, y }, turretClusterStamp)) {
-                    // Additional check: ensure turrets are at least 1 tile away from non-road buildings
-                    if (isTurretClusterValidDistance(room, { x, y }, turretClusterStamp)) {
-                        const score = wallDistance * 1.5 - distanceFromSpawn * 0.3;
-                        if (score > bestScore) {
-                            bestScore = score;
-                            bestPosition = { x, y };
-                        }
-                    }
-                }
-            }
         }
+        return best;
+    };
+    
+    let bestPosition = findBestPosition(3);
+    if (!bestPosition) {
+        // Tight room: the 2x2 cluster only needs its own tiles clear of walls
+        console.log(`⚠️ No open turret cluster spot in ${room.name} - allowing the cluster closer to walls`);
+        bestPosition = findBestPosition(2);
     }
     
     if (bestPosition) {
@@ -527,56 +1535,54 @@ function placeDefenseStampsOptimal(room, spawn) {
     }
 }
 
-// Helper function: Check if turret cluster maintains minimum distance from non-road buildings
-function isTurretClusterValidDistance(room, anchor, stamp) {
-    // Extract turret positions from the stamp
-    const turretPositions = [];
+// Helper function: Check if a stamp's buildings keep a free tile between them and other non-road
+// buildings (planned or built), so creeps can still path around them
+function isStampClearOfStructures(room, anchor, stamp) {
+    // Extract building positions from the stamp
+    const buildingPositions = [];
     for (const [dx, dy, structureType] of stamp) {
-        if (structureType === STRUCTURE_TOWER) {
-            turretPositions.push({
+        if (structureType !== STRUCTURE_ROAD) {
+            buildingPositions.push({
                 x: anchor.x + dx,
                 y: anchor.y + dy
             });
         }
     }
+    // The stamp's own buildings (e.g. already built when a stamp is re-run) don't count
+    const isOwnTile = (x, y) => buildingPositions.some(pos => pos.x === x && pos.y === y);
     
-    // Check distance from each turret to all existing non-road planned structures
-    for (const turretPos of turretPositions) {
+    // Check distance from each building to all existing non-road planned structures
+    for (const buildingPos of buildingPositions) {
         for (const planned of room.memory.plannedStructures) {
-            if (planned.type !== STRUCTURE_ROAD) {
-                const distance = Math.max(Math.abs(turretPos.x - planned.x), Math.abs(turretPos.y - planned.y));
+            if (planned.type !== STRUCTURE_ROAD && !isOwnTile(planned.x, planned.y)) {
+                const distance = Math.max(Math.abs(buildingPos.x - planned.x), Math.abs(buildingPos.y - planned.y));
                 if (distance < 2) { // Minimum 2 tiles separation for creep pathfinding
                     return false;
                 }
             }
         }
         
-        // Check distance from existing built non-road structures in a 5x5 area around each turret
-        for (let dx = -2; dx <= 2; dx++) {
-            for (let dy = -2; dy <= 2; dy++) {
-                if (dx === 0 && dy === 0) continue; // Skip the turret position itself
+        // Check distance from existing built non-road structures around each building
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                if (dx === 0 && dy === 0) continue; // Skip the building position itself
                 
-                const checkX = turretPos.x + dx;
-                const checkY = turretPos.y + dy;
+                const checkX = buildingPos.x + dx;
+                const checkY = buildingPos.y + dy;
                 
-                if (checkX >= 0 && checkX <= 49 && checkY >= 0 && checkY <= 49) {
+                if (checkX >= 0 && checkX <= 49 && checkY >= 0 && checkY <= 49 && !isOwnTile(checkX, checkY)) {
                     const structuresAt = room.lookForAt(LOOK_STRUCTURES, checkX, checkY);
-                    for (const structure of structuresAt) {
-                        if (structure.structureType !== STRUCTURE_ROAD) {
-                            // Calculate distance from turret to this structure
-                            const structDistance = Math.max(Math.abs(dx), Math.abs(dy));
-                            if (structDistance < 2) { // Minimum 2 tiles for creep movement
-                                return false;
-                            }
-                        }
+                    if (structuresAt.some(structure => structure.structureType !== STRUCTURE_ROAD)) {
+                        return false; // Minimum 2 tiles for creep movement
                     }
                 }
             }
         }
     }
     
-    return true; // All turrets maintain proper distance for creep pathfinding
+    return true; // All buildings maintain proper distance for creep pathfinding
 }
+
 function placeSourceStamp(room, source) {
     const sourceStamp = [
         [0, 0, STRUCTURE_CONTAINER]
@@ -591,42 +1597,265 @@ function placeSourceStamp(room, source) {
     ];
     
     for (const pos of positions) {
-        if (isValidStampPosition(room, pos, sourceStamp)) {
-            addStampToPlannedStructures(room, pos, sourceStamp);
+        if (isValidStampPosition(room, pos, sourceStamp)) {
+            addStampToPlannedStructures(room, pos, sourceStamp);
+            break;
+        }
+    }
+}
+
+// Controller stamp: Container for upgraders
+function placeControllerStamp(room, controller, anchor) {
+    const controllerStamp = [
+        [0, 0, STRUCTURE_CONTAINER]
+    ];
+    
+    // Find position 2-3 tiles from controller, towards base
+    const direction = {
+        x: anchor.x > controller.pos.x ? 1 : -1,
+        y: anchor.y > controller.pos.y ? 1 : -1
+    };
+    
+    const containerPos = {
+        x: controller.pos.x + direction.x * 2,
+        y: controller.pos.y + direction.y * 2
+    };
+    
+    if (isValidStampPosition(room, containerPos, controllerStamp)) {
+        addStampToPlannedStructures(room, containerPos, controllerStamp);
+    }
+}
+
+
+
+
+
+
+
+
+
+// Mineral stamp: Extractor on the mineral, container on the adjacent tile closest to the base
+function placeMineralStamp(room, mineral, anchor) {
+    addStampToPlannedStructures(room, mineral.pos, [[0, 0, STRUCTURE_EXTRACTOR]]);
+    
+    const containerStamp = [
+        [0, 0, STRUCTURE_CONTAINER]
+    ];
+    
+    const positions = [];
+    for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+            if (dx === 0 && dy === 0) continue;
+            positions.push({ x: mineral.pos.x + dx, y: mineral.pos.y + dy });
+        }
+    }
+    positions.sort((a, b) => Math.max(Math.abs(a.x - anchor.x), Math.abs(a.y - anchor.y)) -
+                             Math.max(Math.abs(b.x - anchor.x), Math.abs(b.y - anchor.y)));
+    
+    for (const pos of positions) {
+        if (isValidStampPosition(room, pos, containerStamp)) {
+            addStampToPlannedStructures(room, pos, containerStamp);
             break;
         }
     }
 }
 
-// Controller stamp: Container for upgraders
-function placeControllerStamp(room, controller, anchor) {
-    const controllerStamp = [
-        [0, 0, STRUCTURE_CONTAINER]
+// Lab cluster: 10 labs in a 4x4 block around a diagonal road, as close to storage as fits.
+// The two input labs at (2,1) and (1,2) are in range 2 of the other eight.
+function placeLabClusterStamp(room, spawn) {
+    const labStamp = [
+        [1, 0, STRUCTURE_LAB], [2, 0, STRUCTURE_LAB],
+        [0, 1, STRUCTURE_LAB], [2, 1, STRUCTURE_LAB], [3, 1, STRUCTURE_LAB],
+        [0, 2, STRUCTURE_LAB], [1, 2, STRUCTURE_LAB], [3, 2, STRUCTURE_LAB],
+        [1, 3, STRUCTURE_LAB], [2, 3, STRUCTURE_LAB],
+        // Diagonal road through the block, open at both corners
+        [0, 0, STRUCTURE_ROAD], [1, 1, STRUCTURE_ROAD], [2, 2, STRUCTURE_ROAD], [3, 3, STRUCTURE_ROAD]
     ];
     
-    // Find position 2-3 tiles from controller, towards base
-    const direction = {
-        x: anchor.x > controller.pos.x ? 1 : -1,
-        y: anchor.y > controller.pos.y ? 1 : -1
+    const position = findNearestStampPosition(room, spawn, getStoragePosition(room, spawn), labStamp, { x: 0, y: 0 }, 3, 12);
+    if (position) {
+        addStampToPlannedStructures(room, position, labStamp);
+    } else {
+        console.log(`⚠️ No room for the lab cluster in ${room.name}`);
+    }
+}
+
+// Utility structures: factory and power spawn nearest storage (haulers feed them from it),
+// then nuker and observer, each on its own tile with a free ring around it
+function placeUtilityStamps(room, spawn) {
+    const storagePos = getStoragePosition(room, spawn);
+    for (const structureType of [STRUCTURE_FACTORY, STRUCTURE_POWER_SPAWN, STRUCTURE_NUKER, STRUCTURE_OBSERVER]) {
+        const stamp = [[0, 0, structureType]];
+        const position = findNearestStampPosition(room, spawn, storagePos, stamp, { x: 0, y: 0 }, 2, 12);
+        if (position) {
+            addStampToPlannedStructures(room, position, stamp);
+        } else {
+            console.log(`⚠️ No room for a ${structureType} in ${room.name}`);
+        }
+    }
+}
+
+// Link stamps: one link next to each source container (miners drop energy in without moving)
+// and one next to the controller container for upgraders. The hub link is in the core stamp.
+// RCL8's last two links come last in the plan, so they're built last: a second controller link
+// (more parking next to a link, and two senders can fill the controller side in one tick) and a
+// second hub link the filler reaches from its tile (placeSpareHubLink).
+function placeLinkStamps(room, sources, controller, anchor) {
+    const linkStamp = [[0, 0, STRUCTURE_LINK]];
+    const isContainerAt = (pos, range) => (s) => s.type === STRUCTURE_CONTAINER &&
+        Math.max(Math.abs(s.x - pos.x), Math.abs(s.y - pos.y)) <= range;
+    const findContainer = (pos, range) => {
+        const planned = _.find(room.memory.plannedStructures, isContainerAt(pos, range));
+        if (planned) return planned;
+        const built = _.find(room.find(FIND_STRUCTURES, { filter: s => s.structureType === STRUCTURE_CONTAINER }),
+            s => s.pos.getRangeTo(pos.x, pos.y) <= range);
+        return built ? { x: built.pos.x, y: built.pos.y } : null;
     };
     
-    const containerPos = {
-        x: controller.pos.x + direction.x * 2,
-        y: controller.pos.y + direction.y * 2
+    // Tiles around the container (or the object itself), closest to the base first
+    const placeNear = (center, range, role) => {
+        const positions = [];
+        for (let dx = -range; dx <= range; dx++) {
+            for (let dy = -range; dy <= range; dy++) {
+                if (dx === 0 && dy === 0) continue;
+                positions.push({ x: center.x + dx, y: center.y + dy });
+            }
+        }
+        const sorted = _.sortBy(positions, pos => Math.max(Math.abs(pos.x - anchor.x), Math.abs(pos.y - anchor.y)));
+        const position = _.find(sorted, pos => isValidStampPosition(room, pos, linkStamp) &&
+            !room.lookForAt(LOOK_SOURCES, pos.x, pos.y).length && !room.lookForAt(LOOK_MINERALS, pos.x, pos.y).length &&
+            !(controller.pos.x === pos.x && controller.pos.y === pos.y));
+        if (position) {
+            addStampToPlannedStructures(room, position, linkStamp);
+            setLinkRole(room, position, role);
+        } else {
+            console.log(`⚠️ No room for the ${role} link in ${room.name}`);
+        }
     };
     
-    if (isValidStampPosition(room, containerPos, controllerStamp)) {
-        addStampToPlannedStructures(room, containerPos, controllerStamp);
+    for (const source of sources) {
+        const container = findContainer(source.pos, 1);
+        if (container) {
+            placeNear(container, 1, 'source');
+        }
+    }
+    
+    const controllerContainer = findContainer(controller.pos, 3);
+    for (let i = 0; i < 2; i++) {
+        if (controllerContainer) {
+            placeNear(controllerContainer, 1, 'controller');
+        } else {
+            placeNear(controller.pos, 2, 'controller');
+        }
     }
+    
+    placeSpareHubLink(room, linkStamp);
 }
 
+// Helper function: Second hub link - on a tile next to one the filler can park on (next to storage and
+// the first hub link), so one filler empties both. Planned roads are only used when nothing else fits.
+function placeSpareHubLink(room, linkStamp) {
+    const hubKey = _.findKey(room.memory.linkRoles || {}, role => role === 'hub');
+    const storage = _.find(room.memory.plannedStructures, s => s.type === STRUCTURE_STORAGE);
+    if (!hubKey || !storage) return;
+    
+    const [hubX, hubY] = hubKey.split(',').map(Number);
+    const terrain = new Room.Terrain(room.name);
+    const isNear = (a, x, y) => Math.max(Math.abs(a.x - x), Math.abs(a.y - y)) <= 1;
+    const isPlannedRoad = (x, y) => room.memory.plannedStructures.some(s => s.x === x && s.y === y && s.type === STRUCTURE_ROAD);
+    const isOpen = (x, y) => terrain.get(x, y) !== TERRAIN_MASK_WALL &&
+        room.memory.plannedStructures.every(s => s.x !== x || s.y !== y || s.type === STRUCTURE_ROAD || s.type === STRUCTURE_RAMPART);
+    
+    const fillerTiles = [];
+    for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+            const x = hubX + dx;
+            const y = hubY + dy;
+            if ((dx !== 0 || dy !== 0) && isNear(storage, x, y) && isOpen(x, y)) fillerTiles.push({ x, y });
+        }
+    }
+    
+    const candidates = [];
+    fillerTiles.forEach(tile => {
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const pos = { x: tile.x + dx, y: tile.y + dy };
+                // Another filler tile has to stay free for the filler to park on
+                if (!fillerTiles.some(other => (other.x !== pos.x || other.y !== pos.y) && isNear(other, pos.x, pos.y))) continue;
+                if (isValidStampPosition(room, pos, linkStamp) && !_.some(candidates, pos)) candidates.push(pos);
+            }
+        }
+    });
+    
+    const position = _.first(_.sortBy(candidates, pos => (isPlannedRoad(pos.x, pos.y) ? 10 : 0) +
+        Math.max(Math.abs(pos.x - storage.x), Math.abs(pos.y - storage.y))));
+    if (position) {
+        addStampToPlannedStructures(room, position, linkStamp);
+        setLinkRole(room, position, 'hub');
+    } else {
+        console.log(`⚠️ No room for the spare hub link in ${room.name}`);
+    }
+}
 
+// Helper function: Record what a planned link is for ('source', 'hub' or 'controller'), read by getLinkNetwork.
+// Skipped when the stamp's link wasn't planned there (conflict) and no link stands on the tile.
+function setLinkRole(room, pos, role) {
+    const planned = room.memory.plannedStructures.some(s => s.x === pos.x && s.y === pos.y && s.type === STRUCTURE_LINK);
+    if (!planned && !room.lookForAt(LOOK_STRUCTURES, pos.x, pos.y).some(s => s.structureType === STRUCTURE_LINK)) return;
+    if (!room.memory.linkRoles) {
+        room.memory.linkRoles = {};
+    }
+    room.memory.linkRoles[`${pos.x},${pos.y}`] = role;
+}
 
+// Helper function: Where storage is (or will be) - the base's logistics centre
+function getStoragePosition(room, spawn) {
+    const planned = _.find(room.memory.plannedStructures, s => s.type === STRUCTURE_STORAGE);
+    if (planned) return { x: planned.x, y: planned.y };
+    const built = room.find(FIND_STRUCTURES, { filter: s => s.structureType === STRUCTURE_STORAGE })[0];
+    return built ? { x: built.pos.x, y: built.pos.y } : { x: spawn.pos.x, y: spawn.pos.y };
+}
 
+// Helper function: Valid stamp position nearest to target (ranges minRange..maxRange), keeping a free
+// ring to other buildings and reachable from the spawn via entry (a tile of the stamp). Null when none fit.
+function findNearestStampPosition(room, spawn, target, stamp, entry, minRange, maxRange) {
+    const candidates = [];
+    for (let dx = -maxRange; dx <= maxRange; dx++) {
+        for (let dy = -maxRange; dy <= maxRange; dy++) {
+            const range = Math.max(Math.abs(dx), Math.abs(dy));
+            if (range < minRange) continue;
+            candidates.push({ x: target.x + dx, y: target.y + dy, range: range });
+        }
+    }
+    
+    let obstacles = null;
+    for (const pos of _.sortBy(candidates, 'range')) {
+        if (!isValidStampPosition(room, pos, stamp) || !isStampClearOfStructures(room, pos, stamp)) continue;
+        
+        // Connected: a path from the spawn that only walks over free tiles and roads
+        if (!obstacles) obstacles = createPlannedObstacleMatrix(room);
+        const result = PathFinder.search(spawn.pos, { pos: new RoomPosition(pos.x + entry.x, pos.y + entry.y, room.name), range: 1 }, {
+            roomCallback: () => obstacles,
+            maxRooms: 1
+        });
+        if (!result.incomplete) return { x: pos.x, y: pos.y };
+    }
+    return null;
+}
 
-
-
-
+// Helper function: Cost matrix where planned and built buildings (anything but roads,
+// containers and ramparts) can't be walked through
+function createPlannedObstacleMatrix(room) {
+    const costs = new PathFinder.CostMatrix();
+    const blocks = (type) => type !== STRUCTURE_ROAD && type !== STRUCTURE_CONTAINER && type !== STRUCTURE_RAMPART;
+    room.memory.plannedStructures.forEach(planned => {
+        if (blocks(planned.type)) costs.set(planned.x, planned.y, 255);
+    });
+    room.find(FIND_STRUCTURES).forEach(structure => {
+        if (blocks(structure.structureType)) costs.set(structure.pos.x, structure.pos.y, 255);
+    });
+    return costs;
+}
 
 // Helper function: Check if stamp can be placed at position
 function isValidStampPosition(room, anchor, stamp) {
@@ -639,13 +1868,13 @@ function isValidStampPosition(room, anchor, stamp) {
         if (x < 2 || x > 47 || y < 2 || y > 47) return false;
         if (terrain.get(x, y) === TERRAIN_MASK_WALL) return false;
         
-        // Check for existing planned structures - only roads can overlap
+        // Check for existing planned structures - only roads and ramparts can overlap
         const plannedAtPos = (room.memory.plannedStructures && room.memory.plannedStructures.filter(s => s.x === x && s.y === y)) || [];
         if (plannedAtPos.length > 0) {
             // If we're placing a road, it can overlap anything
             if (structureType === STRUCTURE_ROAD) continue;
-            // If existing structure is a road, we can place over it
-            if (plannedAtPos.every(s => s.type === STRUCTURE_ROAD)) continue;
+            // If existing structure is a road or rampart, we can place over (under) it
+            if (plannedAtPos.every(s => s.type === STRUCTURE_ROAD || s.type === STRUCTURE_RAMPART)) continue;
             // Otherwise, no overlap allowed
             return false;
         }
@@ -655,8 +1884,8 @@ function isValidStampPosition(room, anchor, stamp) {
         if (existing.length > 0) {
             // If we're placing a road, it can overlap anything
             if (structureType === STRUCTURE_ROAD) continue;
-            // If existing structure is a road, we can place over it
-            if (existing.every(s => s.structureType === STRUCTURE_ROAD)) continue;
+            // If existing structure is a road, a rampart or what the stamp would build there anyway (a re-run stamp), we can place over it
+            if (existing.every(s => s.structureType === STRUCTURE_ROAD || s.structureType === STRUCTURE_RAMPART || s.structureType === structureType)) continue;
             // Otherwise, no overlap allowed
             return false;
         }
@@ -681,32 +1910,46 @@ function addStampToPlannedStructures(room, anchor, stamp) {
         // Check if there's already a built structure at this position
         const existingBuilt = room.lookForAt(LOOK_STRUCTURES, x, y);
         
+        // Construction sites placed since planning (e.g. by hand) claim their tile too
+        const hasOtherSite = room.lookForAt(LOOK_CONSTRUCTION_SITES, x, y)
+            .some(site => site.structureType !== structureType && site.structureType !== STRUCTURE_ROAD);
+        
         // Skip if same structure type already exists (planned or built)
         const hasSameTypePlanned = existingPlanned.some(s => s.type === structureType);
         const hasSameTypeBuilt = existingBuilt.some(s => s.structureType === structureType);
         
         if (hasSameTypePlanned || hasSameTypeBuilt) {
+            // Already-built tiles still belong to the stamp's layout (see runPlanStamp)
+            if (hasSameTypeBuilt && !hasSameTypePlanned && room._stampBuiltCollector) {
+                room._stampBuiltCollector.push({ x: x, y: y, type: structureType });
+            }
             duplicatesSkipped++;
             continue; // Same structure already exists, don't add duplicate
         }
         
         // For roads: skip if non-road structure exists (planned or built)
         if (structureType === STRUCTURE_ROAD) {
-            const hasNonRoadPlanned = existingPlanned.some(s => s.type !== STRUCTURE_ROAD);
-            const hasNonRoadBuilt = existingBuilt.some(s => s.structureType !== STRUCTURE_ROAD);
+            const hasNonRoadPlanned = existingPlanned.some(s => s.type !== STRUCTURE_ROAD && s.type !== STRUCTURE_RAMPART);
+            const hasNonRoadBuilt = existingBuilt.some(s => s.structureType !== STRUCTURE_ROAD && s.structureType !== STRUCTURE_RAMPART);
             
-            if (hasNonRoadPlanned || hasNonRoadBuilt) {
+            if (hasNonRoadPlanned || hasNonRoadBuilt || hasOtherSite) {
                 conflictsAvoided++;
                 continue; // Don't place road under other buildings
             }
         }
         
-        // For non-roads: skip if any other structure exists (planned or built), except roads can be overwritten
-        if (structureType !== STRUCTURE_ROAD) {
-            const hasConflictingPlanned = existingPlanned.some(s => s.type !== STRUCTURE_ROAD);
-            const hasConflictingBuilt = existingBuilt.some(s => s.structureType !== STRUCTURE_ROAD);
+        // For non-roads: skip if any other structure exists (planned or built), except roads can be overwritten.
+        // Ramparts cover whatever stands on their tile, so only walls conflict with them.
+        if (structureType === STRUCTURE_RAMPART) {
+            if (existingPlanned.some(s => s.type === STRUCTURE_WALL) || existingBuilt.some(s => s.structureType === STRUCTURE_WALL)) {
+                conflictsAvoided++;
+                continue;
+            }
+        } else if (structureType !== STRUCTURE_ROAD) {
+            const hasConflictingPlanned = existingPlanned.some(s => s.type !== STRUCTURE_ROAD && s.type !== STRUCTURE_RAMPART);
+            const hasConflictingBuilt = existingBuilt.some(s => s.structureType !== STRUCTURE_ROAD && s.structureType !== STRUCTURE_RAMPART);
             
-            if (hasConflictingPlanned || hasConflictingBuilt) {
+            if (hasConflictingPlanned || hasConflictingBuilt || hasOtherSite) {
                 conflictsAvoided++;
                 continue; // Don't place non-road over other non-road structures
             }
@@ -759,12 +2002,20 @@ function createRoadPlanningCostMatrix(room) {
         room.memory.plannedStructures.forEach(planned => {
             if (planned.type === STRUCTURE_WALL) {
                 costs.set(planned.x, planned.y, 255); // Make planned walls impassable
-            } else if (planned.type !== STRUCTURE_ROAD) {
+            } else if (planned.type !== STRUCTURE_ROAD && planned.type !== STRUCTURE_RAMPART) {
                 costs.set(planned.x, planned.y, 10); // Avoid other planned structures but allow if needed
             }
         });
     }
-    
+
+    // Built structures are no longer in the plan - weigh them the same so a re-run keeps its routes
+    room.find(FIND_STRUCTURES, {
+        filter: s => s.structureType !== STRUCTURE_ROAD && s.structureType !== STRUCTURE_WALL &&
+                     s.structureType !== STRUCTURE_RAMPART && s.structureType !== STRUCTURE_CONTAINER
+    }).forEach(structure => {
+        costs.set(structure.pos.x, structure.pos.y, 10);
+    });
+
     // Prefer existing roads
     const roads = room.find(FIND_STRUCTURES, {
         filter: s => s.structureType === STRUCTURE_ROAD
@@ -805,6 +2056,28 @@ function planRoadNetwork(room, anchor, sources, controller) {
     }).path;
     addPathAsRoads(room, controllerPath, 'Spawn → Controller');
 
+    // 3. Connect spawn to the mineral container (used from RCL6)
+    const mineral = room.find(FIND_MINERALS)[0];
+    if (mineral) {
+        const mineralPath = PathFinder.search(spawnPos, { pos: mineral.pos, range: 1 }, {
+            roomCallback: () => costMatrix,
+            maxRooms: 1
+        }).path;
+        addPathAsRoads(room, mineralPath, 'Spawn → Mineral');
+    }
+
+    // 4. Connect spawn to the lab cluster (used from RCL6)
+    const labs = room.memory.plannedStructures.filter(s => s.type === STRUCTURE_LAB).map(s => ({ x: s.x, y: s.y }))
+        .concat(room.find(FIND_STRUCTURES, { filter: s => s.structureType === STRUCTURE_LAB }).map(s => s.pos));
+    if (labs.length > 0) {
+        const nearestLab = _.min(labs, lab => spawnPos.getRangeTo(lab.x, lab.y));
+        const labPath = PathFinder.search(spawnPos, { pos: new RoomPosition(nearestLab.x, nearestLab.y, room.name), range: 1 }, {
+            roomCallback: () => costMatrix,
+            maxRooms: 1
+        }).path;
+        addPathAsRoads(room, labPath, 'Spawn → Labs');
+    }
+
     console.log('Minimal road network planning complete');
 }
 
@@ -851,9 +2124,9 @@ function addPathAsRoads(room, path, routeName = 'Unknown Route') {
             continue; // Don't place road through walls - extremely expensive
         }
         
-        // Skip if non-road structure exists (planned or built)
-        const hasNonRoadPlanned = existingPlanned.some(s => s.type !== STRUCTURE_ROAD);
-        const hasNonRoadBuilt = existingBuilt.some(s => s.structureType !== STRUCTURE_ROAD);
+        // Skip if a building exists (planned or built) - ramparts can have a road under them
+        const hasNonRoadPlanned = existingPlanned.some(s => s.type !== STRUCTURE_ROAD && s.type !== STRUCTURE_RAMPART);
+        const hasNonRoadBuilt = existingBuilt.some(s => s.structureType !== STRUCTURE_ROAD && s.structureType !== STRUCTURE_RAMPART);
         
         if (hasNonRoadPlanned || hasNonRoadBuilt) {
             structureConflicts++;
@@ -885,6 +2158,7 @@ function addPathAsRoads(room, path, routeName = 'Unknown Route') {
  */
 function planMinimalEdgeSeal(room) {
     const terrain = room.getTerrain();
+    const overhang = getConfig('ENTRANCE_OVERHANG_TILES', room);
 
     function isPassable(x, y) {
         return terrain.get(x, y) !== TERRAIN_MASK_WALL;
@@ -993,11 +2267,11 @@ function planMinimalEdgeSeal(room) {
 
             // Extend to match curtain width (overhang each side)
             const aExt = (edge === 'TOP' || edge === 'BOTTOM')
-                ? { x: Math.max(0, a0.x - ENTRANCE_OVERHANG_TILES), y: a0.y }
-                : { x: a0.x, y: Math.max(0, a0.y - ENTRANCE_OVERHANG_TILES) };
+                ? { x: Math.max(0, a0.x - overhang), y: a0.y }
+                : { x: a0.x, y: Math.max(0, a0.y - overhang) };
             const bExt = (edge === 'TOP' || edge === 'BOTTOM')
-                ? { x: Math.min(49, b0.x + ENTRANCE_OVERHANG_TILES), y: b0.y }
-                : { x: b0.x, y: Math.min(49, b0.y + ENTRANCE_OVERHANG_TILES) };
+                ? { x: Math.min(49, b0.x + overhang), y: b0.y }
+                : { x: b0.x, y: Math.min(49, b0.y + overhang) };
 
             // Try to place each bookend independently with fallback depths 1 then 2
             const sides = [aExt, bExt];
@@ -1066,6 +2340,8 @@ function buildPlannedEdgeSeal(room, precomputedPlan) {
  */
 function planEntranceCurtains(room) {
     const terrain = room.getTerrain();
+    const overhang = getConfig('ENTRANCE_OVERHANG_TILES', room);
+    const depth = getConfig('ENTRANCE_CURTAIN_DEPTH', room);
 
     function passable(x, y) { return terrain.get(x, y) !== TERRAIN_MASK_WALL; }
     function inBounds(x, y) { return x >= 1 && x <= 48 && y >= 1 && y <= 48; }
@@ -1118,11 +2394,11 @@ function planEntranceCurtains(room) {
 
             if (edge === 'TOP' || edge === 'BOTTOM') {
                 const yEdge = edge === 'TOP' ? 0 : 49;
-                const startX = Math.max(0, seg[0].x - ENTRANCE_OVERHANG_TILES); // extend before
-                const endX = Math.min(49, seg[seg.length - 1].x + ENTRANCE_OVERHANG_TILES); // extend after
+                const startX = Math.max(0, seg[0].x - overhang); // extend before
+                const endX = Math.min(49, seg[seg.length - 1].x + overhang); // extend after
                 for (let x = startX; x <= endX; x++) {
                     const base = { x, y: yEdge };
-                    const pos = project(base, edge, ENTRANCE_CURTAIN_DEPTH);
+                    const pos = project(base, edge, depth);
                     if (!inBounds(pos.x, pos.y)) continue;
                     // Skip if projected tile is terrain wall
                     if (terrain.get(pos.x, pos.y) === TERRAIN_MASK_WALL) continue;
@@ -1131,11 +2407,11 @@ function planEntranceCurtains(room) {
                 }
             } else {
                 const xEdge = edge === 'LEFT' ? 0 : 49;
-                const startY = Math.max(0, seg[0].y - ENTRANCE_OVERHANG_TILES);
-                const endY = Math.min(49, seg[seg.length - 1].y + ENTRANCE_OVERHANG_TILES);
+                const startY = Math.max(0, seg[0].y - overhang);
+                const endY = Math.min(49, seg[seg.length - 1].y + overhang);
                 for (let y = startY; y <= endY; y++) {
                     const base = { x: xEdge, y };
-                    const pos = project(base, edge, ENTRANCE_CURTAIN_DEPTH);
+                    const pos = project(base, edge, depth);
                     if (!inBounds(pos.x, pos.y)) continue;
                     if (terrain.get(pos.x, pos.y) === TERRAIN_MASK_WALL) continue;
                     const isRampart = (y === centerBase.y);
@@ -1182,6 +2458,210 @@ function buildEntranceCurtains(room, plan) {
     }
 }
 
+/**
+ * Plan a rampart perimeter as a minimum vertex cut between the room exits and the protected
+ * tiles (see getPerimeterProtectedTiles). Every walkable tile is split into an in and an out
+ * node joined by capacity 1 (a rampart tile) or unlimited capacity (tiles where ramparts can't
+ * be built, and the protected tiles themselves). After max flow (Dinic), the cut is every tile
+ * whose in node is still reachable from the exits and whose out node isn't.
+ * Returns the rampart positions ([] when there is nothing to protect).
+ */
+function planMinCutPerimeter(room) {
+    const terrain = room.getTerrain();
+    const isEdge = (x, y) => x === 0 || y === 0 || x === 49 || y === 49;
+    const protectedTiles = getPerimeterProtectedTiles(room);
+    
+    // Constructed walls (planned or built) block like terrain
+    const walls = new Uint8Array(2500);
+    room.memory.plannedStructures.forEach(s => { if (s.type === STRUCTURE_WALL) walls[s.y * 50 + s.x] = 1; });
+    room.find(FIND_STRUCTURES).forEach(s => { if (s.structureType === STRUCTURE_WALL) walls[s.pos.y * 50 + s.pos.x] = 1; });
+    const isWall = (x, y) => terrain.get(x, y) === TERRAIN_MASK_WALL || walls[y * 50 + x] === 1;
+    
+    // Nothing but roads and containers may be built on exit tiles or next to them
+    const unbuildable = new Uint8Array(2500);
+    for (let y = 0; y < 50; y++) {
+        for (let x = 0; x < 50; x++) {
+            if (!isEdge(x, y) || terrain.get(x, y) === TERRAIN_MASK_WALL) continue;
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    const nx = x + dx, ny = y + dy;
+                    if (nx >= 0 && nx < 50 && ny >= 0 && ny < 50) unbuildable[ny * 50 + nx] = 1;
+                }
+            }
+        }
+    }
+    
+    // Unbuildable tiles chained to an exit can't be cut off from it, so protected tiles
+    // touching that chain are left outside the perimeter
+    const exposed = new Uint8Array(2500);
+    const stack = [];
+    for (let i = 0; i < 2500; i++) {
+        if (isEdge(i % 50, Math.floor(i / 50)) && !isWall(i % 50, Math.floor(i / 50))) {
+            exposed[i] = 1;
+            stack.push(i);
+        }
+    }
+    while (stack.length > 0) {
+        const i = stack.pop();
+        const x = i % 50, y = Math.floor(i / 50);
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const nx = x + dx, ny = y + dy;
+                if (nx < 0 || nx > 49 || ny < 0 || ny > 49 || isWall(nx, ny)) continue;
+                const j = ny * 50 + nx;
+                protectedTiles[j] = 0;
+                if (!exposed[j] && unbuildable[j]) {
+                    exposed[j] = 1;
+                    stack.push(j);
+                }
+            }
+        }
+    }
+    
+    // Graph: in node 2i, out node 2i+1 for tile i = y*50+x; each edge is stored with its reverse at e^1
+    const INF = 1 << 20;
+    const source = 5000, sink = 5001;
+    const head = new Int32Array(5002).fill(-1);
+    const next = new Int32Array(2500 * 20 + 2);
+    const to = new Int32Array(2500 * 20 + 2);
+    const cap = new Int32Array(2500 * 20 + 2);
+    let edgeCount = 0;
+    const addEdge = (u, v, c) => {
+        to[edgeCount] = v; cap[edgeCount] = c; next[edgeCount] = head[u]; head[u] = edgeCount++;
+        to[edgeCount] = u; cap[edgeCount] = 0; next[edgeCount] = head[v]; head[v] = edgeCount++;
+    };
+    
+    let protectedCount = 0;
+    for (let y = 0; y < 50; y++) {
+        for (let x = 0; x < 50; x++) {
+            if (isWall(x, y)) continue;
+            const i = y * 50 + x;
+            const isProtected = protectedTiles[i] === 1;
+            
+            if (isEdge(x, y)) addEdge(source, 2 * i, INF);
+            addEdge(2 * i, 2 * i + 1, isProtected || unbuildable[i] ? INF : 1);
+            if (isProtected) {
+                addEdge(2 * i + 1, sink, INF);
+                protectedCount++;
+            }
+            
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    const nx = x + dx, ny = y + dy;
+                    if ((dx === 0 && dy === 0) || nx < 0 || nx > 49 || ny < 0 || ny > 49 || isWall(nx, ny)) continue;
+                    addEdge(2 * i + 1, 2 * (ny * 50 + nx), INF);
+                }
+            }
+        }
+    }
+    if (protectedCount === 0) return [];
+    
+    // Dinic: BFS levels, then push blocking flows along level-increasing edges
+    const level = new Int32Array(5002);
+    const iter = new Int32Array(5002);
+    const queue = new Int32Array(5002);
+    const buildLevels = () => {
+        level.fill(-1);
+        level[source] = 0;
+        let queueHead = 0, queueTail = 0;
+        queue[queueTail++] = source;
+        while (queueHead < queueTail) {
+            const u = queue[queueHead++];
+            for (let e = head[u]; e !== -1; e = next[e]) {
+                if (cap[e] > 0 && level[to[e]] < 0) {
+                    level[to[e]] = level[u] + 1;
+                    queue[queueTail++] = to[e];
+                }
+            }
+        }
+        return level[sink] >= 0;
+    };
+    // One augmenting path per call, walked with an explicit stack of edges (paths can run thousands
+    // of nodes deep). iter[] holds each node's next untried edge, so dead ends aren't retried this phase.
+    const path = new Int32Array(5002);
+    const push = () => {
+        let depth = 0;
+        let u = source;
+        while (u !== sink) {
+            let e = iter[u];
+            while (e !== -1 && !(cap[e] > 0 && level[to[e]] === level[u] + 1)) {
+                e = iter[u] = next[e];
+            }
+            if (e === -1) {
+                // Dead end: step back and skip the edge that led here
+                if (depth === 0) return 0;
+                u = to[path[--depth] ^ 1];
+                iter[u] = next[iter[u]];
+                continue;
+            }
+            path[depth++] = e;
+            u = to[e];
+        }
+        
+        let pushed = INF;
+        for (let i = 0; i < depth; i++) pushed = Math.min(pushed, cap[path[i]]);
+        for (let i = 0; i < depth; i++) {
+            cap[path[i]] -= pushed;
+            cap[path[i] ^ 1] += pushed;
+        }
+        return pushed;
+    };
+    
+    let flow = 0;
+    while (buildLevels()) {
+        iter.set(head);
+        let pushed;
+        while ((pushed = push()) > 0) flow += pushed;
+    }
+    
+    // The last BFS marked everything still reachable from the exits
+    const ramparts = [];
+    for (let i = 0; i < 2500; i++) {
+        if (level[2 * i] >= 0 && level[2 * i + 1] < 0) {
+            ramparts.push({ x: i % 50, y: Math.floor(i / 50) });
+        }
+    }
+    
+    console.log(`🛡️ Min-cut perimeter: ${ramparts.length} ramparts (max flow ${flow}) enclose ${protectedCount} protected tiles`);
+    return ramparts;
+}
+
+// Helper function: Tiles the min-cut perimeter has to enclose (Uint8Array, index y*50+x):
+// core buildings with PERIMETER_CORE_MARGIN around them, and range 1 around sources, the
+// controller and their containers and links
+function getPerimeterProtectedTiles(room) {
+    const terrain = room.getTerrain();
+    const protectedTiles = new Uint8Array(2500);
+    const coreMargin = getConfig('PERIMETER_CORE_MARGIN', room);
+    const anchors = room.find(FIND_SOURCES).map(source => source.pos).concat([room.controller.pos]);
+    
+    const protect = (cx, cy, margin) => {
+        for (let x = Math.max(1, cx - margin); x <= Math.min(48, cx + margin); x++) {
+            for (let y = Math.max(1, cy - margin); y <= Math.min(48, cy + margin); y++) {
+                if (terrain.get(x, y) !== TERRAIN_MASK_WALL) protectedTiles[y * 50 + x] = 1;
+            }
+        }
+    };
+    
+    const buildings = room.memory.plannedStructures.map(s => ({ x: s.x, y: s.y, type: s.type }))
+        .concat(room.find(FIND_STRUCTURES).map(s => ({ x: s.pos.x, y: s.pos.y, type: s.structureType })));
+    buildings.forEach(building => {
+        if (building.type === STRUCTURE_ROAD || building.type === STRUCTURE_WALL || building.type === STRUCTURE_RAMPART ||
+            building.type === STRUCTURE_CONTROLLER || building.type === STRUCTURE_EXTRACTOR) return;
+        
+        if (building.type === STRUCTURE_CONTAINER || building.type === STRUCTURE_LINK) {
+            // Source and controller containers/links; the mineral container stays outside
+            if (anchors.some(pos => Math.max(Math.abs(pos.x - building.x), Math.abs(pos.y - building.y)) <= 3)) {
+                protect(building.x, building.y, 1);
+            }
+            return;
+        }
+        protect(building.x, building.y, coreMargin);
+    });
+    anchors.forEach(pos => protect(pos.x, pos.y, 1));
+    return protectedTiles;
+}
+
 // Create initial defensive structures immediately after base planning
 function createInitialDefensiveStructures(room) {
     if (!room.memory.plannedStructures) return;
@@ -1221,6 +2701,15 @@ function createInitialDefensiveStructures(room) {
     }
 }
 
+// Helper function: All creeps grouped by role (every role gets an array, possibly empty)
+function getCreepsByRole() {
+    const creeps = {};
+    for (const role in SPAWN_NAME_PREFIX) {
+        creeps[role] = _.filter(Game.creeps, creep => creep.memory.role === role);
+    }
+    return creeps;
+}
+
 function generateHexId() {
     return Math.floor(Math.random() * 65536).toString(16).padStart(4, '0');
 }
@@ -1251,13 +2740,28 @@ function getLeastUtilizedSource(room) {
     return leastUtilizedSource;
 }
 
-// Get or calculate cached distance metrics for throughput calculations
+// Get or calculate cached distance metrics for throughput calculations.
+// Each spawn→source route is broken down into road/plain/swamp tiles so hauler
+// bodies and round-trip times match the terrain they actually travel, and carries
+// its own distance, round-trip time and CARRY requirement. The cache stays valid
+// until roads on one of those routes are built or destroyed.
 function getCachedDistanceMetrics(room) {
-    // Check if we have cached metrics and they're still valid
-    if (room.memory.distanceMetrics && 
-        room.memory.distanceMetrics.calculatedAt && 
-        Game.time - room.memory.distanceMetrics.calculatedAt < 1500) {
-        return room.memory.distanceMetrics;
+    const cached = room.memory.distanceMetrics;
+    if (cached && cached.routes && cached.routes.every(route => route.carryNeeded !== undefined)) {
+        const roads = room._structureCache ? room._structureCache.roads : room.find(FIND_STRUCTURES, {
+            filter: s => s.structureType === STRUCTURE_ROAD
+        });
+        if (roads.length === cached.roomRoadCount) {
+            return cached;
+        }
+        
+        // Road count changed somewhere - only recalculate if it changed on a hauler route
+        const routeRoadKey = getRouteRoadKey(cached.routes, roads);
+        if (routeRoadKey === cached.routeRoadKey) {
+            cached.roomRoadCount = roads.length;
+            return cached;
+        }
+        console.log(`🛣️ Roads changed on hauler routes, recalculating distance metrics`);
     }
     
     // Calculate fresh metrics
@@ -1265,18 +2769,55 @@ function getCachedDistanceMetrics(room) {
     if (!spawn) return null;
     
     const sources = room.find(FIND_SOURCES);
-    let totalDistance = 0;
+    if (sources.length === 0) return null;
     
-    sources.forEach(source => {
+    const terrain = new Room.Terrain(room.name);
+    const roads = room.find(FIND_STRUCTURES, {
+        filter: s => s.structureType === STRUCTURE_ROAD
+    });
+    const roadTiles = new Set(roads.map(r => r.pos.x * 50 + r.pos.y));
+    const costMatrix = createRoadPlanningCostMatrix(room);
+    
+    const routes = sources.map(source => {
         const path = PathFinder.search(spawn.pos, { pos: source.pos, range: 1 }, {
-            roomCallback: () => createRoadPlanningCostMatrix(room),
+            roomCallback: () => costMatrix,
             maxRooms: 1
-        });
-        totalDistance += path.cost;
+        }).path;
+        
+        // Route composition: what the hauler walks over on each tile
+        const route = { sourceId: source.id, tiles: [], road: 0, plain: 0, swamp: 0 };
+        for (const pos of path) {
+            const tile = pos.x * 50 + pos.y;
+            route.tiles.push(tile);
+            if (roadTiles.has(tile)) {
+                route.road++;
+            } else if (terrain.get(pos.x, pos.y) === TERRAIN_MASK_SWAMP) {
+                route.swamp++;
+            } else {
+                route.plain++;
+            }
+        }
+        
+        // Loaded haulers need full speed on the worst surface they regularly cross:
+        // fully paved routes get the road ratio, anything unpaved gets the plain ratio
+        route.moveRatio = route.plain + route.swamp > 0 ? MOVE_RATIO_BY_TERRAIN.plain : MOVE_RATIO_BY_TERRAIN.road;
+        
+        // Swamp tiles still slow a loaded hauler at that ratio: fatigue 10 per CARRY vs 2 removed per MOVE
+        const swampDelayPerTile = Math.max(0, Math.ceil(10 / (2 * route.moveRatio)) - 1);
+        
+        // Empty leg always moves at full speed (empty CARRY parts generate no fatigue)
+        route.distance = route.tiles.length;
+        route.roundTripTime = getRoundTripTime(route.distance, route.swamp * swampDelayPerTile);
+        
+        // CARRY parts needed to move the source's full output over one round trip
+        const energyPerTick = source.energyCapacity / ENERGY_REGEN_TIME;
+        route.carryNeeded = Math.ceil(getCarryInTransit(energyPerTick, route.roundTripTime));
+        return route;
     });
     
-    const avgDistance = totalDistance / sources.length;
-    const roundTripTime = 2 * avgDistance + 4;
+    const haulerMoveRatio = _.max(routes.map(route => route.moveRatio));
+    const avgDistance = _.sum(routes, route => route.distance) / routes.length;
+    const roundTripTime = _.sum(routes, route => route.roundTripTime) / routes.length;
     const carryPerHauler = Math.ceil((2/5) * roundTripTime);
     
     // Cache the results
@@ -1284,27 +2825,112 @@ function getCachedDistanceMetrics(room) {
         avgDistance,
         roundTripTime,
         carryPerHauler,
+        haulerMoveRatio,
+        routes,
+        roomRoadCount: roads.length,
+        routeRoadKey: getRouteRoadKey(routes, roads),
         calculatedAt: Game.time
     };
     
-    console.log(`📐 Distance metrics cached: avgDist=${avgDistance.toFixed(1)}, Trtt=${roundTripTime.toFixed(1)}, carry=${carryPerHauler}`);
+    const roadTotal = _.sum(routes, route => route.road);
+    const plainTotal = _.sum(routes, route => route.plain);
+    const swampTotal = _.sum(routes, route => route.swamp);
+    console.log(`📐 Distance metrics cached: avgDist=${avgDistance.toFixed(1)}, Trtt=${roundTripTime.toFixed(1)}, carry=${carryPerHauler}, routes ${roadTotal} road/${plainTotal} plain/${swampTotal} swamp, move ratio ${haulerMoveRatio}`);
     
     return room.memory.distanceMetrics;
 }
 
+// Helper function: Hauler round trip over a route of this many tiles - both legs, the loaded leg's
+// swamp delay and 4 ticks to load and unload. Shared by hauler sizing, the upgrade feed and anchor scoring.
+function getRoundTripTime(distance, swampDelay) {
+    return 2 * distance + (swampDelay || 0) + 4;
+}
+
+// Helper function: CARRY parts in transit to keep energyPerTick moving over a round trip
+function getCarryInTransit(energyPerTick, roundTripTime) {
+    return energyPerTick * roundTripTime / CARRY_CAPACITY;
+}
+
+// Helper function: Identify which hauler route tiles currently have roads
+function getRouteRoadKey(routes, roads) {
+    const roadTiles = new Set(roads.map(r => r.pos.x * 50 + r.pos.y));
+    const paved = [];
+    routes.forEach(route => {
+        route.tiles.forEach(tile => {
+            if (roadTiles.has(tile)) paved.push(tile);
+        });
+    });
+    return paved.sort((a, b) => a - b).join(',');
+}
+
+// Per-source hauler plan at the given energy capacity: each source gets enough haulers
+// to carry its output over its own round trip, sharing that CARRY requirement evenly
+function getSourceHaulerPlan(room, energyCapacity) {
+    const metrics = getCachedDistanceMetrics(room);
+    if (!metrics) return [];
+    
+    const config = BODY_PATTERNS.hauler;
+    return metrics.routes.map(route => {
+        // Largest CARRY count a single affordable hauler can have on this route
+        const largest = generateBody(config.pattern, config.maxParts, energyCapacity, { moveRatio: route.moveRatio });
+        const maxCarry = Math.max(1, largest.filter(part => part === CARRY).length);
+        const haulersNeeded = Math.ceil(route.carryNeeded / maxCarry);
+        
+        return {
+            sourceId: route.sourceId,
+            distance: route.distance,
+            roundTripTime: route.roundTripTime,
+            carryNeeded: route.carryNeeded,
+            carryPerHauler: Math.ceil(route.carryNeeded / haulersNeeded),
+            moveRatio: route.moveRatio,
+            haulersNeeded: haulersNeeded
+        };
+    });
+}
+
+// Hauler body sized for a specific source's route, falling back to the room-wide hauler body
+function getHaulerBodyForSource(room, sourceId, energyCapacity) {
+    const plan = _.find(getSourceHaulerPlan(room, energyCapacity), p => p.sourceId === sourceId);
+    if (!plan) return getBodiesByEnergyCapacity(energyCapacity).hauler;
+    
+    const config = BODY_PATTERNS.hauler;
+    return generateBody(config.pattern, config.maxParts, energyCapacity, {
+        partLimits: { [CARRY]: plan.carryPerHauler },
+        moveRatio: plan.moveRatio
+    });
+}
+
+// Pick the source whose haulers (alive or queued) fall furthest short of its plan.
+// Unlinked sources come first; haulers on linked sources refill from storage.
+function pickHaulerSource(room, sources, creeps) {
+    const plans = getSourceHaulerPlan(room, room.energyCapacityAvailable);
+    const assigned = creeps.hauler.map(c => c.memory.assignedSource)
+        .concat(getSpawnQueue(room).filter(entry => entry.role === 'hauler').map(entry => entry.memory.assignedSource));
+    const linkedSourceIds = getLinkedSourceIds(room);
+    const unlinked = sources.filter(source => !linkedSourceIds.includes(source.id));
+    
+    return _.min(unlinked.length > 0 ? unlinked : sources, source => {
+        const plan = _.find(plans, p => p.sourceId === source.id);
+        const needed = plan ? plan.haulersNeeded : 1;
+        return assigned.filter(id => id === source.id).length / needed;
+    });
+}
+
 // Detect emergency situations that require immediate response
 function detectEmergency(room, creeps) {
     const emergency = {
         isEmergency: false,
         reason: '',
-        priority: 'none'
+        priority: 'none',
+        role: null // Role the spawn queue should push to the front, if any
     };
     
     // Check 1: Controller about to downgrade
-    if (room.controller.ticksToDowngrade < CONTROLLER_DOWNGRADE_EMERGENCY) {
+    if (room.controller.ticksToDowngrade < getConfig('CONTROLLER_DOWNGRADE_EMERGENCY', room)) {
         emergency.isEmergency = true;
         emergency.reason = `Controller downgrade in ${room.controller.ticksToDowngrade} ticks`;
         emergency.priority = 'critical';
+        emergency.role = 'upgrader';
         return emergency;
     }
     
@@ -1313,6 +2939,7 @@ function detectEmergency(room, creeps) {
         emergency.isEmergency = true;
         emergency.reason = 'No miners alive';
         emergency.priority = 'critical';
+        emergency.role = 'miner';
         return emergency;
     }
     
@@ -1326,10 +2953,11 @@ function detectEmergency(room, creeps) {
     }
     
     // Check 4: Very low energy and no haulers
-    if (room.energyAvailable < EMERGENCY_ENERGY_THRESHOLD && creeps.hauler.length === 0) {
+    if (room.energyAvailable < getConfig('EMERGENCY_ENERGY_THRESHOLD', room) && creeps.hauler.length === 0) {
         emergency.isEmergency = true;
         emergency.reason = 'Low energy and no haulers';
         emergency.priority = 'high';
+        emergency.role = 'hauler';
         return emergency;
     }
     
@@ -1351,53 +2979,325 @@ function cleanupBuiltStructures(room) {
         return !exists;
     });
     
-    const removed = initialCount - room.memory.plannedStructures.length;
-    if (removed > 0) {
-        console.log(`🧹 Cleaned up ${removed} built structures from memory`);
+    const removed = initialCount - room.memory.plannedStructures.length;
+    if (removed > 0) {
+        console.log(`🧹 Cleaned up ${removed} built structures from memory`);
+    }
+}
+
+// Run link energy transfer logic: source links keep the controller links at LINK_CONTROLLER_TARGET
+// for upgraders and send the overflow to the hub links, which the filler empties into storage.
+// When the sources can't keep up, the hubs send what the filler loaded from storage.
+function runLinks(room) {
+    const network = getLinkNetwork(room);
+    if (!network) return;
+    
+    const sendMin = getConfig('LINK_SEND_MIN', room);
+    const controllerTarget = getConfig('LINK_CONTROLLER_TARGET', room);
+    
+    // Transfers land at the end of the tick - count what's already on its way to each receiver
+    const incoming = {};
+    const freeSpace = (link) => link.store.getFreeCapacity(RESOURCE_ENERGY) - (incoming[link.id] || 0);
+    const shortOf = (link) => controllerTarget - link.store[RESOURCE_ENERGY] - (incoming[link.id] || 0);
+    // The controller link furthest below target (the one to send to) and the hub link with the most room
+    const neediest = () => network.controllers.length > 0 ? _.max(network.controllers, shortOf) : null;
+    const controllerShort = () => network.controllers.length > 0 ? shortOf(neediest()) : 0;
+    const emptiestHub = () => network.hubs.length > 0 ? _.max(network.hubs, freeSpace) : null;
+    const send = (link, receiver, label, limit) => {
+        const amount = Math.min(link.store[RESOURCE_ENERGY], freeSpace(receiver), limit !== undefined ? limit : Infinity);
+        if (link.cooldown > 0 || amount < sendMin) return false;
+        if (link.transferEnergy(receiver, amount) !== OK) return false;
+        incoming[receiver.id] = (incoming[receiver.id] || 0) + amount;
+        console.log(`🔗 Link transfer: ${amount} energy ${label}`);
+        return true;
+    };
+    
+    network.source.forEach(link => {
+        if (controllerShort() > 0 && send(link, neediest(), 'source → controller')) return;
+        if (network.hubs.length > 0) send(link, emptiestHub(), 'source → hub');
+    });
+    
+    network.hubs.forEach(link => {
+        // Only what the controller link is short: anything more would just drain storage through the filler
+        if (controllerShort() >= sendMin) send(link, neediest(), 'hub → controller', controllerShort());
+    });
+}
+
+// Link network: built links grouped by role ({ source: [], hubs: [], controllers: [] }, with hub and
+// controller the first of each), or null without links. Roles come from the plan (setLinkRole); links
+// it doesn't know - built by hand or planned before roles existed - are classified by what they sit
+// next to, and that role is remembered.
+function getLinkNetwork(room) {
+    if (room._linkNetwork && room._linkNetwork.time === Game.time) return room._linkNetwork.network;
+    
+    const links = room.find(FIND_MY_STRUCTURES, { filter: s => s.structureType === STRUCTURE_LINK });
+    if (links.length === 0) {
+        room._linkNetwork = { time: Game.time, network: null };
+        return null;
+    }
+    
+    if (!room.memory.linkRoles) {
+        room.memory.linkRoles = {};
+    }
+    const sources = room.find(FIND_SOURCES);
+    const network = { source: [], hub: null, controller: null, hubs: [], controllers: [] };
+    links.forEach(link => {
+        const key = `${link.pos.x},${link.pos.y}`;
+        if (!room.memory.linkRoles[key]) {
+            let role = 'hub';
+            if (sources.some(source => link.pos.getRangeTo(source) <= 2)) {
+                role = 'source';
+            } else if (room.controller && link.pos.getRangeTo(room.controller) <= 3) {
+                role = 'controller';
+            }
+            room.memory.linkRoles[key] = role;
+        }
+        
+        const role = room.memory.linkRoles[key];
+        if (role === 'source') {
+            network.source.push(link);
+        } else {
+            network[`${role}s`].push(link);
+        }
+    });
+    network.hub = network.hubs[0] || null;
+    network.controller = network.controllers[0] || null;
+    
+    room._linkNetwork = { time: Game.time, network: network };
+    return network;
+}
+
+// Helper function: The source link a miner parked on this source container can reach (null if none)
+function getSourceLink(room, container) {
+    const network = getLinkNetwork(room);
+    if (!network) return null;
+    return _.find(network.source, link => link.pos.getRangeTo(container) <= 1) || null;
+}
+
+// Helper function: IDs of sources whose energy goes by link - link-ready, and every miner working
+// the source can fill the link. A miner spawned before the link stands keeps drop-mining into the
+// container until its replacement (spawned with a CARRY) takes over; with no miner alive the next
+// one spawns with a CARRY, so the source counts as linked. Cached per tick.
+function getLinkedSourceIds(room) {
+    if (room._linkedSourceIds && room._linkedSourceIds.time === Game.time) return room._linkedSourceIds.ids;
+    
+    const miners = room.find(FIND_MY_CREEPS, { filter: c => c.memory.role === 'miner' });
+    const ids = getLinkReadySourceIds(room).filter(sourceId =>
+        _.every(miners, miner => miner.memory.sourceId !== sourceId || miner.getActiveBodyparts(CARRY) > 0));
+    room._linkedSourceIds = { time: Game.time, ids: ids };
+    return ids;
+}
+
+// Helper function: IDs of sources with a source link next to the container and a hub or
+// controller link to receive it (miners for these spawn with a CARRY)
+function getLinkReadySourceIds(room) {
+    const network = getLinkNetwork(room);
+    if (!network || (!network.hub && !network.controller)) return [];
+    
+    return room.find(FIND_SOURCES).filter(source => {
+        const container = room.find(FIND_STRUCTURES, {
+            filter: s => s.structureType === STRUCTURE_CONTAINER && s.pos.getRangeTo(source) === 1
+        })[0];
+        return container && getSourceLink(room, container);
+    }).map(source => source.id);
+}
+
+// Terminal market manager: keep TERMINAL_RESERVES in the terminal and sell the surplus
+// to the best buy order whose net price (after transaction-cost energy) clears the floor.
+// Only reads Game.market through the standard API, so a stubbed Game.market works offline.
+function runTerminal(room) {
+    const terminal = room._structureCache.terminal;
+    if (!terminal || terminal.cooldown > 0 || !Game.market) return;
+    
+    // One deal per check: terminals go on cooldown after every send
+    if (buyUpgradeBoost(room, terminal)) return;
+    
+    const resources = Object.keys(terminal.store).filter(resource => getTerminalSurplus(room, terminal, resource) > 0);
+    for (const resource of resources) {
+        const sale = findBestSale(room, terminal, resource);
+        if (!sale) continue;
+        
+        const result = Game.market.deal(sale.order.id, sale.amount, room.name);
+        if (result === OK) {
+            recordTrade(room, resource, sale);
+            console.log(`💰 Sold ${sale.amount} ${resource} @ ${sale.order.price.toFixed(3)} to ${sale.order.roomName} (fee ${sale.fee} energy, net ${sale.netPrice.toFixed(3)}/unit)`);
+            return;
+        }
+        console.log(`❌ Market deal for ${resource} failed: ${result}`);
+    }
+}
+
+// Helper function: Amount above the configured terminal reserve for a resource (upgrade boosts keep BOOST_STOCK too)
+function getTerminalSurplus(room, terminal, resource) {
+    const reserves = getConfig('TERMINAL_RESERVES', room);
+    let reserve = resource === RESOURCE_ENERGY ? reserves[RESOURCE_ENERGY] : reserves.mineral;
+    if (UPGRADE_BOOSTS.includes(resource)) {
+        reserve = Math.max(reserve, getConfig('BOOST_STOCK', room));
+    }
+    return (terminal.store[resource] || 0) - reserve;
+}
+
+// Buy upgrade boosts while terminal and boost lab together hold less than BOOST_STOCK: the best
+// compound with a sell order at or below its BOOST_PRICE_CAPS entry. Returns true after a deal.
+function buyUpgradeBoost(room, terminal) {
+    const boost = getUpgradeBoost(room);
+    if (!boost) return false;
+    
+    const needed = getConfig('BOOST_STOCK', room) - _.sum(UPGRADE_BOOSTS, compound => getBoostStock(room, boost.lab, compound));
+    if (needed <= 0) return false;
+    
+    const caps = getConfig('BOOST_PRICE_CAPS', room);
+    for (const compound of UPGRADE_BOOSTS) {
+        const orders = Game.market.getAllOrders({ type: ORDER_SELL, resourceType: compound })
+            .filter(order => order.roomName && order.remainingAmount > 0 && order.price <= caps[compound]);
+        if (orders.length === 0) continue;
+        
+        // Cheapest order; we pay the transaction cost in terminal energy
+        const order = _.min(orders, o => o.price);
+        const feePerUnit = Game.market.calcTransactionCost(1000, room.name, order.roomName) / 1000;
+        const amount = Math.min(needed, order.remainingAmount, getConfig('MARKET_MAX_DEAL_AMOUNT', room),
+            Math.floor(Game.market.credits / order.price),
+            Math.floor((terminal.store[RESOURCE_ENERGY] || 0) / Math.max(feePerUnit, 0.001)));
+        if (amount <= 0) continue;
+        
+        const result = Game.market.deal(order.id, amount, room.name);
+        if (result === OK) {
+            getBoostState(room).lastPurchase = { time: Game.time, compound: compound, amount: amount, price: order.price };
+            console.log(`🛒 Bought ${amount} ${compound} @ ${order.price.toFixed(3)} from ${order.roomName} (fee ${Math.ceil(feePerUnit * amount)} energy)`);
+            return true;
+        }
+        console.log(`❌ Market deal for ${compound} failed: ${result}`);
+    }
+    return false;
+}
+
+// Helper function: Best buy order for a resource and how much of it we can fill
+function findBestSale(room, terminal, resource) {
+    const isEnergy = resource === RESOURCE_ENERGY;
+    const floors = getConfig('MARKET_PRICE_FLOORS', room);
+    const floor = isEnergy ? floors[RESOURCE_ENERGY] : floors.mineral;
+    const maxDealAmount = getConfig('MARKET_MAX_DEAL_AMOUNT', room);
+    const surplus = getTerminalSurplus(room, terminal, resource);
+    const energySpare = terminal.store[RESOURCE_ENERGY] || 0;
+    
+    let best = null;
+    const orders = Game.market.getAllOrders({ type: ORDER_BUY, resourceType: resource });
+    for (const order of orders) {
+        if (!order.roomName || order.remainingAmount <= 0) continue;
+        
+        // Transaction cost grows linearly with amount, so price it per unit
+        const feePerUnit = Game.market.calcTransactionCost(1000, room.name, order.roomName) / 1000;
+        
+        // Energy sales pay the fee out of the same surplus; minerals pay it from terminal energy
+        let amount;
+        let netPrice;
+        if (isEnergy) {
+            amount = Math.floor(surplus / (1 + feePerUnit));
+            netPrice = order.price / (1 + feePerUnit);
+        } else {
+            amount = Math.min(surplus, Math.floor(energySpare / Math.max(feePerUnit, 0.001)));
+            netPrice = order.price - feePerUnit * floors[RESOURCE_ENERGY];
+        }
+        amount = Math.min(amount, order.remainingAmount, maxDealAmount);
+        
+        if (amount <= 0 || netPrice < floor) continue;
+        if (!best || netPrice > best.netPrice) {
+            best = { order, amount, netPrice, fee: Math.ceil(feePerUnit * amount) };
+        }
+    }
+    
+    return best;
+}
+
+// Helper function: Append a completed sale to room.memory.marketLog
+function recordTrade(room, resource, sale) {
+    if (!room.memory.marketLog) {
+        room.memory.marketLog = [];
+    }
+    room.memory.marketLog.push({
+        time: Game.time,
+        resource: resource,
+        amount: sale.amount,
+        price: sale.order.price,
+        fee: sale.fee,
+        orderId: sale.order.id,
+        toRoom: sale.order.roomName
+    });
+    if (room.memory.marketLog.length > MARKET_LOG_LENGTH) {
+        room.memory.marketLog.splice(0, room.memory.marketLog.length - MARKET_LOG_LENGTH);
     }
 }
 
-// Run link energy transfer logic
-function runLinks(room) {
-    const links = room._structureCache.links;
-    if (links.length < 2) return; // Need at least 2 links
-    
-    // Find source links (near sources) and sink links (near spawn/controller)
-    const sources = room.find(FIND_SOURCES);
-    const spawn = room.find(FIND_MY_SPAWNS)[0];
-    const controller = room.controller;
-    
-    const sourceLinks = [];
-    const sinkLinks = [];
-    
-    links.forEach(link => {
-        // Check if near a source
-        const nearSource = sources.some(source => link.pos.getRangeTo(source) <= 2);
-        if (nearSource) {
-            sourceLinks.push(link);
+// Helper function: Energy haulers keep in the terminal - the reserve, plus sell stock while storage is nearly full
+function getTerminalEnergyTarget(room) {
+    const storage = room.find(FIND_STRUCTURES, { filter: s => s.structureType === STRUCTURE_STORAGE })[0];
+    const storageFull = storage && storage.store[RESOURCE_ENERGY] > storage.storeCapacity * 0.95;
+    return getConfig('TERMINAL_RESERVES', room)[RESOURCE_ENERGY] + (storageFull ? getConfig('MARKET_SELL_BUFFER', room) : 0);
+}
+
+// Factory manager: compress storage energy above FACTORY_COMPRESS_THRESHOLD into batteries kept in
+// the factory, and turn them back into energy while the room is short on energy: an emergency flagged
+// by detectEmergency, storage below FACTORY_DECOMPRESS_FLOOR, and a hauler alive to carry it out.
+// Haulers move the energy in and out (runFactoryHaul); this only picks the mode and runs production.
+function runFactory(room, emergency) {
+    const factory = getFactory(room);
+    if (!factory) return;
+    
+    const state = getFactoryState(room);
+    const storage = room.storage;
+    const stored = (factory.store[RESOURCE_BATTERY] || 0) + (factory.store[RESOURCE_ENERGY] || 0);
+    const storageEnergy = storage ? storage.store[RESOURCE_ENERGY] : 0;
+    const energyShort = emergency.isEmergency && storageEnergy < getConfig('FACTORY_DECOMPRESS_FLOOR', room) &&
+        room.find(FIND_MY_CREEPS, { filter: c => c.memory.role === 'hauler' }).length > 0;
+    let mode = 'idle';
+    if (energyShort && stored > 0) {
+        mode = 'decompress';
+    } else if (storageEnergy > getConfig('FACTORY_COMPRESS_THRESHOLD', room)) {
+        mode = 'compress';
+    }
+    if (mode !== state.mode) {
+        console.log(`🏭 Factory: ${state.mode} → ${mode}${mode === 'decompress' ? ` (${emergency.reason})` : ''}`);
+        state.mode = mode;
+    }
+    if (mode === 'idle' || factory.cooldown > 0) return;
+    // Don't release energy faster than haulers take it out
+    if (mode === 'decompress' && (factory.store[RESOURCE_ENERGY] || 0) >= getConfig('FACTORY_ENERGY_STOCK', room)) return;
+    
+    // Batteries while compressing, energy while decompressing - once the factory holds the components
+    const product = mode === 'compress' ? RESOURCE_BATTERY : RESOURCE_ENERGY;
+    const recipe = COMMODITIES[product];
+    if (!_.every(recipe.components, (amount, resource) => (factory.store[resource] || 0) >= amount)) return;
+    
+    const result = factory.produce(product);
+    if (result === OK) {
+        if (mode === 'compress') {
+            state.compressed += recipe.amount;
         } else {
-            // Check if near spawn or controller
-            const nearSpawn = spawn && link.pos.getRangeTo(spawn) <= 3;
-            const nearController = controller && link.pos.getRangeTo(controller) <= 3;
-            if (nearSpawn || nearController) {
-                sinkLinks.push(link);
-            }
-        }
-    });
-    
-    // Transfer energy from full source links to empty sink links
-    sourceLinks.forEach(sourceLink => {
-        if (sourceLink.store[RESOURCE_ENERGY] >= 400 && sourceLink.cooldown === 0) {
-            // Find sink link with most free space
-            const targetLink = _.min(sinkLinks, link => link.store[RESOURCE_ENERGY]);
-            if (targetLink && targetLink.store[RESOURCE_ENERGY] < 400) {
-                const result = sourceLink.transferEnergy(targetLink);
-                if (result === OK) {
-                    console.log(`🔗 Link transfer: ${sourceLink.store[RESOURCE_ENERGY]} energy sent`);
-                }
-            }
+            state.released += recipe.amount;
         }
-    });
+    } else {
+        console.log(`❌ Factory production of ${product} failed: ${result}`);
+    }
+}
+
+// Helper function: The room's factory from RCL7, null before it's built
+function getFactory(room) {
+    if (room.controller.level < 7) return null;
+    return room.find(FIND_MY_STRUCTURES, { filter: s => s.structureType === STRUCTURE_FACTORY })[0] || null;
+}
+
+// Helper function: Factory memory - {mode ('idle' | 'compress' | 'decompress'), compressed (batteries made), released (energy)}
+function getFactoryState(room) {
+    if (!room.memory.factory) {
+        room.memory.factory = { mode: 'idle', compressed: 0, released: 0 };
+    }
+    return room.memory.factory;
+}
+
+// Helper function: Energy a number of batteries decompresses into
+function getBatteryEnergy(batteries) {
+    const recipe = COMMODITIES[RESOURCE_ENERGY];
+    return Math.floor(batteries / recipe.components[RESOURCE_BATTERY]) * recipe.amount;
 }
 
 // Check if a creep should be recycled (old age or replacement ready)
@@ -1418,8 +3318,24 @@ function shouldRecycleCreep(creep, room) {
         return false; // Too late to recycle, let them die
     }
     
+    // Miners with a pre-spawned replacement keep working until it arrives next to them,
+    // then step off the container so the replacement can take the tile
+    if (creep.memory.role === 'miner' && creep.memory.replacedBy) {
+        const replacement = Game.creeps[creep.memory.replacedBy];
+        if (replacement && !replacement.spawning) {
+            // Once stepped off, stay on the way to the spawn instead of reclaiming the tile
+            return creep.memory.recycling === true || replacement.pos.isNearTo(creep.pos);
+        }
+    }
+    
+    // Mineral miners stop while the mineral regenerates (a replacement spawns once it's back)
+    if (creep.memory.role === 'mineralMiner') {
+        const setup = getMineralSetup(room);
+        if (setup && setup.mineral.mineralAmount === 0) return true;
+    }
+    
     // Recycle if within recycle window
-    return creep.ticksToLive <= CREEP_RECYCLE_TTL;
+    return creep.ticksToLive <= getConfig('CREEP_RECYCLE_TTL', room);
 }
 
 // Recycle a creep at the spawn
@@ -1441,198 +3357,249 @@ function recycleCreep(creep, spawn) {
     }
 }
 
-// Simplified population control based on room controller level
-function spawnCreeps(spawn, creeps, sources, emergency) {
-    const room = spawn.room;
-    const rcl = room.controller.level;
-    const energyCapacity = room.energyCapacityAvailable;
-    const energyAvailable = room.energyAvailable;
+// Queue-driven population control. The queue lives in room.memory.spawnQueue and
+// is refilled from getPopulationByRCL targets; every idle spawn in the room takes
+// the next entry each tick, so RCL7/8 rooms replace creeps in parallel.
+function spawnCreeps(spawns, creeps, sources, emergency) {
+    if (spawns.length === 0) return;
+    const room = spawns[0].room;
     
-    // Hard-coded population targets based on RCL
-    const populationTargets = getPopulationByRCL(rcl);
-    const bodies = getBodiesByEnergyCapacity(energyCapacity);
-    
-    // Calculate body costs for debugging
-    const bodyCosts = {
-        miner: bodies.miner.reduce((cost, part) => cost + (part === WORK ? 100 : part === CARRY ? 50 : 50), 0),
-        hauler: bodies.hauler.reduce((cost, part) => cost + (part === WORK ? 100 : part === CARRY ? 50 : 50), 0),
-        upgrader: bodies.upgrader.reduce((cost, part) => cost + (part === WORK ? 100 : part === CARRY ? 50 : 50), 0),
-        builder: bodies.builder.reduce((cost, part) => cost + (part === WORK ? 100 : part === CARRY ? 50 : 50), 0)
-    };
+    // Refill the queue periodically (and immediately during emergencies) instead of every tick
+    if (Game.time % getConfig('SPAWN_QUEUE_REFRESH_INTERVAL', room) === 0 || emergency.isEmergency || !room.memory.spawnQueue) {
+        refreshSpawnQueue(room, creeps, sources, emergency);
+    }
+    
+    const idleSpawns = spawns.filter(s => !s.spawning);
+    if (idleSpawns.length === 0) return;
+    
+    const queue = getSpawnQueue(room);
+    queue.sort((a, b) => a.priority - b.priority || a.queuedAt - b.queuedAt);
     
-    // Helper function to determine if we should wait for more energy or spawn with what we have
-    const shouldWaitForEnergy = (neededEnergy, role) => {
-        // Always wait for optimal energy unless it's an emergency
-        if (energyAvailable >= neededEnergy) return false; // We have enough, spawn now
+    // Track energy locally so a second spawn doesn't spend energy the first one already claimed
+    let energyAvailable = room.energyAvailable;
+    const energyCapacity = room.energyCapacityAvailable;
+    
+    for (const spawn of idleSpawns) {
+        const entry = queue[0];
+        if (!entry) break;
         
-        // Emergency situations where we spawn suboptimal creeps:
-        // 1. No creeps of this role exist and it's critical
-        // 2. Energy capacity is very low (early game)
-        const currentCount = creeps[role].length;
-        const isCriticalRole = (role === 'miner' || role === 'hauler');
-        const isEmergency = currentCount === 0 && isCriticalRole;
-        const isEarlyGame = energyCapacity <= 300;
+        let bodyToUse = entry.body;
+        let costToUse = calculateBodyCost(bodyToUse);
         
-        return !isEmergency && !isEarlyGame;
-    };
-    
-    // Simple spawn priority: miner > hauler > upgrader > builder
-    if (creeps.miner.length < populationTargets.miner) {
-        if (!shouldWaitForEnergy(bodyCosts.miner, 'miner')) {
-            // Use optimal body if we have enough energy, otherwise fallback to affordable body
-            let bodyToUse = bodies.miner;
-            let costToUse = bodyCosts.miner;
-            
-            if (energyAvailable < bodyCosts.miner) {
-                // Fallback to smaller body that we can afford
-                const fallbackBodies = getBodiesByEnergyCapacity(energyAvailable);
-                bodyToUse = fallbackBodies.miner;
-                costToUse = bodyToUse.reduce((cost, part) => cost + (part === WORK ? 100 : part === CARRY ? 50 : 50), 0);
+        if (energyAvailable < costToUse) {
+            // Strict priority: lower entries wait unless the head may spawn with what we have
+            if (!canSpawnDownscaled(entry, creeps, energyCapacity, costToUse)) {
+                if (Game.time % 10 === 0) {
+                    console.log(`⏳ Waiting for ${costToUse} energy to spawn optimal ${entry.role} (have ${energyAvailable}) - ${entry.reason}`);
+                }
+                break;
             }
             
-            if (energyAvailable >= costToUse) {
-                // Find unassigned source for this miner
-                const assignedSources = creeps.miner.map(m => m.memory.sourceId).filter(id => id);
-                const unassignedSource = sources.find(s => !assignedSources.includes(s.id));
-                const sourceId = unassignedSource ? unassignedSource.id : sources[creeps.miner.length % sources.length].id;
-                
-                const name = 'mine:' + generateHexId();
-                const result = spawn.spawnCreep(bodyToUse, name, { 
-                    memory: { 
-                        role: 'miner',
-                        sourceId: sourceId
-                    } 
-                });
-                if (result === OK) {
-                    console.log(`Spawning miner: ${name} @ source ${sourceId.substr(-4)} (${costToUse}/${bodyCosts.miner} energy)`);
-                }
-                return;
+            // Fallback to smaller body that we can afford (haulers stay sized for their source)
+            if (entry.role === 'hauler' && entry.memory.assignedSource) {
+                bodyToUse = getHaulerBodyForSource(room, entry.memory.assignedSource, energyAvailable);
+            } else {
+                bodyToUse = getBodiesByEnergyCapacity(energyAvailable)[entry.role];
             }
-        } else {
-            console.log(`⏳ Waiting for ${bodyCosts.miner} energy to spawn optimal miner (have ${energyAvailable})`);
+            costToUse = bodyToUse && bodyToUse.length > 0 ? calculateBodyCost(bodyToUse) : Infinity;
+            if (energyAvailable < costToUse) break;
         }
-    }
-    
-    if (creeps.hauler.length < populationTargets.hauler) {
-        if (!shouldWaitForEnergy(bodyCosts.hauler, 'hauler')) {
-            let bodyToUse = bodies.hauler;
-            let costToUse = bodyCosts.hauler;
-            
-            if (energyAvailable < bodyCosts.hauler) {
-                const fallbackBodies = getBodiesByEnergyCapacity(energyAvailable);
-                bodyToUse = fallbackBodies.hauler;
-                costToUse = bodyToUse.reduce((cost, part) => cost + (part === WORK ? 100 : part === CARRY ? 50 : 50), 0);
+        
+        const name = (SPAWN_NAME_PREFIX[entry.role] || entry.role) + ':' + generateHexId();
+        const memory = Object.assign({}, entry.memory);
+        // Upgraders stop at the boost lab on their way out while it holds a compound
+        if (entry.role === 'upgrader' && bodyToUse.includes(WORK)) {
+            const boost = getUpgradeBoost(room);
+            if (boost && isBoostLabReady(boost)) {
+                memory.boost = boost.compound;
             }
-            
-            if (energyAvailable >= costToUse) {
-                // Assign source in round-robin fashion
-                const sourceId = sources[creeps.hauler.length % sources.length].id;
-                
-                const name = 'haul:' + generateHexId();
-                const result = spawn.spawnCreep(bodyToUse, name, { 
-                    memory: { 
-                        role: 'hauler',
-                        assignedSource: sourceId
-                    } 
-                });
-                if (result === OK) {
-                    console.log(`Spawning hauler: ${name} @ source ${sourceId.substr(-4)} (${costToUse}/${bodyCosts.hauler} energy)`);
-                }
-                return;
+        }
+        const result = spawn.spawnCreep(bodyToUse, name, { memory: memory });
+        if (result === OK) {
+            queue.shift();
+            energyAvailable -= costToUse;
+            // Let the miner being replaced know who takes over its container
+            if (entry.memory.replaces && Memory.creeps[entry.memory.replaces]) {
+                Memory.creeps[entry.memory.replaces].replacedBy = name;
             }
+            const sourceId = entry.memory.sourceId || entry.memory.assignedSource;
+            const sourceInfo = (sourceId ? ` @ source ${sourceId.substr(-4)}` : '') + (memory.boost ? ` (boost ${memory.boost})` : '');
+            console.log(`Spawning ${entry.role}: ${name}${sourceInfo} from ${spawn.name} (${costToUse}/${calculateBodyCost(entry.body)} energy) - ${entry.reason}`);
         } else {
-            console.log(`⏳ Waiting for ${bodyCosts.hauler} energy to spawn optimal hauler (have ${energyAvailable})`);
+            console.log(`❌ ${spawn.name} failed to spawn ${entry.role}: ${result}`);
+            break;
         }
     }
+}
+
+// Get the room's persistent spawn queue, creating it if needed
+function getSpawnQueue(room) {
+    if (!room.memory.spawnQueue) {
+        room.memory.spawnQueue = [];
+    }
+    return room.memory.spawnQueue;
+}
+
+// Add a spawn request to the room queue. Lower priority values spawn first.
+function enqueueSpawn(room, role, body, priority, memory, reason, deadline) {
+    const entry = {
+        id: generateHexId(),
+        role: role,
+        body: body,
+        priority: priority,
+        memory: Object.assign({ role: role }, memory),
+        reason: reason,
+        queuedAt: Game.time,
+        deadline: deadline || Game.time + getConfig('SPAWN_QUEUE_TTL', room)
+    };
+    getSpawnQueue(room).push(entry);
+    return entry;
+}
+
+// Bring the queue in line with population targets: drop expired or surplus entries,
+// enqueue missing creeps, and let emergencies jump to the front
+function refreshSpawnQueue(room, creeps, sources, emergency) {
+    const queue = getSpawnQueue(room);
     
-    if (creeps.upgrader.length < populationTargets.upgrader) {
-        if (!shouldWaitForEnergy(bodyCosts.upgrader, 'upgrader')) {
-            let bodyToUse = bodies.upgrader;
-            let costToUse = bodyCosts.upgrader;
-            
-            if (energyAvailable < bodyCosts.upgrader) {
-                const fallbackBodies = getBodiesByEnergyCapacity(energyAvailable);
-                bodyToUse = fallbackBodies.upgrader;
-                costToUse = bodyToUse.reduce((cost, part) => cost + (part === WORK ? 100 : part === CARRY ? 50 : 50), 0);
-            }
-            
-            if (energyAvailable >= costToUse) {
+    // Expired entries are dropped; they'll be re-queued below if still needed
+    const expired = _.remove(queue, entry => Game.time > entry.deadline);
+    expired.forEach(entry => console.log(`⌛ Spawn queue: dropped expired ${entry.role} (${entry.reason})`));
+    
+    if (sources.length === 0) return;
+    
+    const rcl = room.controller.level;
+    const populationTargets = getPopulationByRCL(rcl);
+    const bodies = getBodiesByEnergyCapacity(room.energyCapacityAvailable);
+    
+    // Replacement miners are queued ahead of time and sit outside the population count
+    queueMinerReplacements(room, creeps, bodies);
+    
+    for (const role of ['miner', 'hauler', 'filler', 'upgrader', 'builder', 'mineralMiner']) {
+        const queued = queue.filter(entry => entry.role === role && !entry.prespawn);
+        const alive = creeps[role].length;
+        const target = populationTargets[role];
+        
+        // Targets can shrink (e.g. construction finished) - drop the newest surplus entries
+        let surplus = alive + queued.length - target;
+        for (let i = queued.length - 1; i >= 0 && surplus > 0; i--) {
+            if (queued[i].emergency || queued[i].manual) continue;
+            _.pull(queue, queued[i]);
+            surplus--;
+        }
+        
+        for (let count = alive + queue.filter(entry => entry.role === role && !entry.prespawn).length; count < target; count++) {
+            let memory;
+            let body = bodies[role];
+            if (role === 'miner') {
+                // Find unassigned source for this miner (alive or already queued)
+                const assignedSources = creeps.miner.map(m => m.memory.sourceId)
+                    .concat(queue.filter(entry => entry.role === 'miner').map(entry => entry.memory.sourceId))
+                    .filter(id => id);
+                const unassignedSource = sources.find(s => !assignedSources.includes(s.id));
+                memory = { sourceId: unassignedSource ? unassignedSource.id : sources[count % sources.length].id };
+            } else if (role === 'hauler') {
+                // Haulers go to the source furthest below its per-source plan, sized for that route
+                memory = { assignedSource: pickHaulerSource(room, sources, creeps).id };
+                body = getHaulerBodyForSource(room, memory.assignedSource, room.energyCapacityAvailable);
+            } else if (role === 'mineralMiner' || role === 'filler') {
+                memory = {}; // Only one mineral and one hub link per room
+            } else {
                 // Assign source in round-robin fashion
-                const sourceId = sources[creeps.upgrader.length % sources.length].id;
-                
-                const name = 'upgr:' + generateHexId();
-                const result = spawn.spawnCreep(bodyToUse, name, { 
-                    memory: { 
-                        role: 'upgrader',
-                        assignedSource: sourceId
-                    } 
-                });
-                if (result === OK) {
-                    console.log(`Spawning upgrader: ${name} @ source ${sourceId.substr(-4)} (${costToUse}/${bodyCosts.upgrader} energy)`);
-                }
-                return;
+                memory = { assignedSource: sources[count % sources.length].id };
             }
-        } else {
-            console.log(`⏳ Waiting for ${bodyCosts.upgrader} energy to spawn optimal upgrader (have ${energyAvailable})`);
+            enqueueSpawn(room, role, body, SPAWN_PRIORITY[role], memory, `population ${count}/${target}`);
         }
     }
     
-    if (creeps.builder.length < populationTargets.builder) {
-        if (!shouldWaitForEnergy(bodyCosts.builder, 'builder')) {
-            let bodyToUse = bodies.builder;
-            let costToUse = bodyCosts.builder;
-            
-            if (energyAvailable < bodyCosts.builder) {
-                const fallbackBodies = getBodiesByEnergyCapacity(energyAvailable);
-                bodyToUse = fallbackBodies.builder;
-                costToUse = bodyToUse.reduce((cost, part) => cost + (part === WORK ? 100 : part === CARRY ? 50 : 50), 0);
-            }
-            
-            if (energyAvailable >= costToUse) {
-                // Assign source in round-robin fashion
-                const sourceId = sources[creeps.builder.length % sources.length].id;
-                
-                const name = 'bldr:' + generateHexId();
-                const result = spawn.spawnCreep(bodyToUse, name, { 
-                    memory: { 
-                        role: 'builder',
-                        assignedSource: sourceId
-                    } 
-                });
-                if (result === OK) {
-                    console.log(`Spawning builder: ${name} @ source ${sourceId.substr(-4)} (${costToUse}/${bodyCosts.builder} energy)`);
-                }
-                return;
+    // Emergencies jump the queue: promote the first entry for the emergency role
+    if (emergency.isEmergency && emergency.role) {
+        const entry = _.find(queue, e => e.role === emergency.role);
+        if (entry && !entry.emergency) {
+            entry.priority = SPAWN_PRIORITY.emergency;
+            entry.emergency = true;
+            entry.reason = `🚨 ${emergency.reason}`;
+            console.log(`🚨 Spawn queue: ${entry.role} promoted to front (${emergency.reason})`);
+        } else if (!entry && creeps[emergency.role].length === 0) {
+            const role = emergency.role;
+            let body = bodies[role];
+            let memory;
+            if (role === 'miner') {
+                memory = { sourceId: sources[0].id };
+            } else if (role === 'hauler') {
+                memory = { assignedSource: pickHaulerSource(room, sources, creeps).id };
+                body = getHaulerBodyForSource(room, memory.assignedSource, room.energyCapacityAvailable);
+            } else {
+                memory = { assignedSource: sources[0].id };
             }
-        } else {
-            console.log(`⏳ Waiting for ${bodyCosts.builder} energy to spawn optimal builder (have ${energyAvailable})`);
+            const added = enqueueSpawn(room, role, body, SPAWN_PRIORITY.emergency, memory, `🚨 ${emergency.reason}`);
+            added.emergency = true;
         }
     }
 }
 
+// Queue replacement miners so they arrive as the old miner expires. Lead time is the
+// cached spawn→source distance plus the replacement's spawn time plus a small buffer.
+function queueMinerReplacements(room, creeps, bodies) {
+    const queue = getSpawnQueue(room);
+    const metrics = getCachedDistanceMetrics(room);
+    const spawnTime = bodies.miner.length * CREEP_SPAWN_TIME;
+    
+    for (const miner of creeps.miner) {
+        const route = metrics && _.find(metrics.routes, r => r.sourceId === miner.memory.sourceId);
+        const travelTime = route ? route.distance : (metrics ? Math.ceil(metrics.avgDistance) : 25);
+        const leadTime = travelTime + spawnTime + getConfig('MINER_PRESPAWN_BUFFER', room);
+        if (miner.spawning || !miner.ticksToLive || miner.ticksToLive > leadTime) continue;
+        
+        // Skip miners that already have a replacement alive or queued
+        if (miner.memory.replacedBy && Game.creeps[miner.memory.replacedBy]) continue;
+        if (queue.some(entry => entry.memory.replaces === miner.name)) continue;
+        
+        const entry = enqueueSpawn(room, 'miner', bodies.miner, SPAWN_PRIORITY.miner,
+            { sourceId: miner.memory.sourceId, replaces: miner.name },
+            `pre-spawn for ${miner.name} (TTL ${miner.ticksToLive}, lead ${leadTime})`,
+            Game.time + miner.ticksToLive); // Once the old miner is dead, regular population refill takes over
+        entry.prespawn = true;
+    }
+}
+
+// Decide whether a queue entry may spawn with a smaller body than planned
+function canSpawnDownscaled(entry, creeps, energyCapacity, plannedCost) {
+    // Emergency situations where we spawn suboptimal creeps:
+    // 1. The entry was flagged by detectEmergency
+    // 2. No creeps of this role exist and it's critical
+    // 3. Energy capacity is very low (early game) or the planned body no longer fits
+    if (entry.emergency) return true;
+    const isCriticalRole = (entry.role === 'miner' || entry.role === 'hauler');
+    if (isCriticalRole && creeps[entry.role] && creeps[entry.role].length === 0) return true;
+    return energyCapacity <= 300 || plannedCost > energyCapacity;
+}
+
+// Body cost using the engine's per-part prices
+function calculateBodyCost(body) {
+    return body.reduce((cost, part) => cost + BODYPART_COST[part], 0);
+}
+
 // Automated population control based on throughput calculations
 function getPopulationByRCL(rcl) {
     const spawn = Game.spawns[Object.keys(Game.spawns)[0]];
-    if (!spawn) return { miner: 2, hauler: 1, upgrader: 1, builder: 1 };
+    if (!spawn) return { miner: 2, hauler: 1, upgrader: 1, builder: 1, mineralMiner: 0, filler: 0 };
 
     const room = spawn.room;
     const sources = room.find(FIND_SOURCES);
 
     // Use cached distance metrics instead of recalculating every tick
     const metrics = getCachedDistanceMetrics(room);
-    if (!metrics) return { miner: 2, hauler: 2, upgrader: 2, builder: 1 };
+    if (!metrics) return { miner: 2, hauler: 2, upgrader: 2, builder: 1, mineralMiner: 0, filler: 0 };
     
-    const avgDistance = metrics.avgDistance;
-    const roundTripTime = metrics.roundTripTime;
-    const carryPerHauler = metrics.carryPerHauler;
-
     // Total energy flow: sources × 10 energy/tick = 20 energy/tick
     const totalEnergyFlow = sources.length * 10;
 
-    // Calculate hauler capacity per trip (CARRY parts × 50 energy)
-    const energyPerTripPerHauler = carryPerHauler * 50;
-    const haulerEfficiency = 1 / (1 + roundTripTime / 50); // Rough efficiency factor
-    const haulersNeeded = Math.ceil(totalEnergyFlow / (energyPerTripPerHauler * haulerEfficiency));
+    // Haulers per source: each source's output carried over its own round trip.
+    // Linked sources send their energy by link, so their haulers aren't needed.
+    const sourcePlans = getSourceHaulerPlan(room, room.energyCapacityAvailable);
+    const linkedSourceIds = getLinkedSourceIds(room);
+    const haulersNeeded = _.sum(sourcePlans, plan => linkedSourceIds.includes(plan.sourceId) ? 0 : plan.haulersNeeded);
+    const unlinkedShare = sources.length > 0 ? 1 - linkedSourceIds.length / sources.length : 1;
     const minersNeeded = sources.length;
 
     // Adaptive scaling based on surplus energy and storage/terminal status
@@ -1641,6 +3608,8 @@ function getPopulationByRCL(rcl) {
     const energyPercent = energyAvailable / energyCapacity;
     const storage = room.find(FIND_STRUCTURES, { filter: s => s.structureType === STRUCTURE_STORAGE })[0];
     const terminal = room.find(FIND_STRUCTURES, { filter: s => s.structureType === STRUCTURE_TERMINAL })[0];
+    const linkNetwork = getLinkNetwork(room);
+    const upgradeFeed = getUpgradeFeed(room);
 
     let upgradersNeeded = 1;
     let buildersNeeded = 1;
@@ -1683,11 +3652,12 @@ function getPopulationByRCL(rcl) {
             upgradersNeeded = 1; // Minimal maintenance at RCL8
         }
         
-        haulersTarget = Math.max(Math.max(2, Math.floor(energyCapacity / 400)), haulersNeeded);
+        // Two haulers always stay to refill spawn and extensions from storage
+        haulersTarget = Math.max(Math.max(2, Math.floor(energyCapacity / 400 * unlinkedShare)), haulersNeeded);
 
         // If storage is full and terminal exists, prioritize selling excess
         if (terminal && storage.store[RESOURCE_ENERGY] > storage.storeCapacity * 0.95) {
-            // Optionally, could spawn extra haulers to move energy to terminal
+            // Extra hauler keeps the terminal stocked for runTerminal to sell
             haulersTarget += 1;
         }
     }
@@ -1698,14 +3668,23 @@ function getPopulationByRCL(rcl) {
 
     const result = {
         miner: Math.max(1, minersNeeded),
-        hauler: haulersTarget,
+        hauler: haulersTarget + upgradeFeed.haulersNeeded, // Plus the upgrade feed quota
         upgrader: upgradersNeeded,
-        builder: buildersNeeded
+        builder: buildersNeeded,
+        mineralMiner: isMineralMinable(room) ? 1 : 0,
+        filler: storage && linkNetwork && linkNetwork.hub ? 1 : 0 // Empties the hub link into storage
     };
 
     // Log throughput calculations every 100 ticks
     if (Game.time % 100 === 0) {
-        console.log(`📊 THROUGHPUT CALC: avgDist=${avgDistance.toFixed(1)}, Trtt=${roundTripTime.toFixed(1)}, carryNeeded=${carryPerHauler}, haulers=${result.hauler}, miners=${result.miner}`);
+        console.log(`📊 THROUGHPUT CALC: haulers=${result.hauler} (${haulersNeeded} by throughput, ${linkedSourceIds.length}/${sources.length} sources linked), miners=${result.miner}`);
+        sourcePlans.forEach(plan => {
+            if (linkedSourceIds.includes(plan.sourceId)) {
+                console.log(`   🔗 source ${plan.sourceId.substr(-4)}: linked, no haulers`);
+                return;
+            }
+            console.log(`   ⛏️ source ${plan.sourceId.substr(-4)}: dist=${plan.distance}, Trtt=${plan.roundTripTime}, carryNeeded=${plan.carryNeeded}, haulers=${plan.haulersNeeded}×${plan.carryPerHauler}C`);
+        });
         console.log(`⚡ ENERGY FLOW: ${totalEnergyFlow} e/tick from ${sources.length} sources, Room Energy: ${energyAvailable}/${energyCapacity} (${(energyPercent*100).toFixed(0)}%)`);
     }
 
@@ -1721,7 +3700,9 @@ function getBodiesByEnergyCapacity(energyCapacity) {
             miner: [WORK, WORK, MOVE],
             hauler: [CARRY, CARRY, MOVE],
             upgrader: [WORK, CARRY, MOVE],
-            builder: [WORK, CARRY, MOVE]
+            builder: [WORK, CARRY, MOVE],
+            mineralMiner: [WORK, WORK, MOVE],
+            filler: [CARRY, CARRY, MOVE]
         };
     }
 
@@ -1731,82 +3712,100 @@ function getBodiesByEnergyCapacity(energyCapacity) {
     const metrics = getCachedDistanceMetrics(room);
     const carryNeeded = metrics ? metrics.carryPerHauler : Math.ceil(energyCapacity / 200);
 
-    // Calculate optimal MOVE parts (roughly 1 MOVE per 2 CARRY for balanced ratio)
-    const moveNeeded = Math.ceil(carryNeeded / 2);
-
-    // Create hauler body with calculated CARRY/MOVE ratio
-    const haulerBody = [];
-    for (let i = 0; i < carryNeeded; i++) haulerBody.push(CARRY);
-    for (let i = 0; i < moveNeeded; i++) haulerBody.push(MOVE);
-
-    // Check if we can afford this hauler body, otherwise scale down
-    const haulerCost = haulerBody.reduce((cost, part) => cost + (part === CARRY ? 50 : 50), 0);
-    let affordableHaulerBody = haulerBody;
-
-    if (haulerCost > energyCapacity) {
-        // Scale down hauler body to fit energy capacity
-        const maxParts = Math.floor(energyCapacity / 50); // Each part costs 50 energy
-        const carryParts = Math.max(1, Math.floor(maxParts * 0.6)); // 60% CARRY
-        const moveParts = Math.max(1, maxParts - carryParts); // Rest MOVE
-
-        affordableHaulerBody = [];
-        for (let i = 0; i < carryParts; i++) affordableHaulerBody.push(CARRY);
-        for (let i = 0; i < moveParts; i++) affordableHaulerBody.push(MOVE);
+    const bodies = {};
+    for (const role in BODY_PATTERNS) {
+        const config = BODY_PATTERNS[role];
+        const partLimits = Object.assign({}, config.partLimits);
+        
+        // Haulers carry exactly what the round trip needs (throughput-calculated)
+        if (role === 'hauler') {
+            partLimits[CARRY] = carryNeeded;
+        }
+        
+        // Miners only need a CARRY to fill a source link; otherwise they drop-mine into the container
+        if (role === 'miner' && getLinkReadySourceIds(room).length === 0) {
+            partLimits[CARRY] = 0;
+        }
+        
+        let moveRatio = config.moveRatio !== undefined ? config.moveRatio : MOVE_RATIO_BY_TERRAIN[config.terrain];
+        
+        // Haulers move at full speed when loaded on the route they actually travel
+        if (role === 'hauler' && metrics && metrics.haulerMoveRatio !== undefined) {
+            moveRatio = metrics.haulerMoveRatio;
+        }
+        
+        bodies[role] = generateBody(config.pattern, config.maxParts, energyCapacity, {
+            partLimits: partLimits,
+            moveRatio: moveRatio
+        });
     }
+    
+    return bodies;
+}
 
-    if (energyCapacity >= 1800) { // RCL 6+
-        return {
-            miner: [WORK, WORK, WORK, WORK, WORK, MOVE], // 5W1M
-            hauler: affordableHaulerBody, // Throughput-calculated
-            upgrader: [WORK, WORK, WORK, WORK, WORK, WORK, WORK, WORK, WORK, WORK, CARRY, CARRY, CARRY, MOVE, MOVE, MOVE], // 10W3C3M
-            builder: [WORK, WORK, WORK, WORK, WORK, WORK, WORK, CARRY, CARRY, CARRY, CARRY, CARRY, MOVE, MOVE, MOVE, MOVE] // 7W5C4M
-        };
-    } else if (energyCapacity >= 1300) { // RCL 5
-        return {
-            miner: [WORK, WORK, WORK, WORK, WORK, MOVE], // 5W1M
-            hauler: affordableHaulerBody, // Throughput-calculated
-            upgrader: [WORK, WORK, WORK, WORK, WORK, WORK, WORK, CARRY, CARRY, MOVE, MOVE], // 7W2C2M
-            builder: [WORK, WORK, WORK, WORK, WORK, CARRY, CARRY, CARRY, CARRY, MOVE, MOVE, MOVE] // 5W4C3M
-        };
-    } else if (energyCapacity >= 800) { // RCL 4
-        return {
-            miner: [WORK, WORK, WORK, WORK, WORK, MOVE], // 5W1M
-            hauler: affordableHaulerBody, // Throughput-calculated
-            upgrader: [WORK, WORK, WORK, WORK, WORK, CARRY, CARRY, MOVE], // 5W2C1M
-            builder: [WORK, WORK, WORK, WORK, CARRY, CARRY, CARRY, MOVE, MOVE] // 4W3C2M
-        };
-    } else if (energyCapacity >= 550) { // RCL 3
-        return {
-            miner: [WORK, WORK, WORK, WORK, WORK, MOVE], // 5W1M
-            hauler: affordableHaulerBody, // Throughput-calculated
-            upgrader: [WORK, WORK, WORK, WORK, CARRY, MOVE], // 4W1C1M
-            builder: [WORK, WORK, WORK, CARRY, CARRY, MOVE, MOVE, MOVE] // 3W2C3M
-        };
-    } else { // RCL 1-2
-        return {
-            miner: [WORK, WORK, MOVE], // 2W1M - only 250 energy
-            hauler: affordableHaulerBody.length > 0 ? affordableHaulerBody : [CARRY, CARRY, MOVE], // Throughput-calculated or fallback
-            upgrader: [WORK, CARRY, MOVE], // 1W1C1M
-            builder: [WORK, CARRY, MOVE] // 1W1C1M
-        };
+// Generic body builder: repeat `pattern` one part at a time, adding the MOVE parts
+// the travel terrain requires, until the next part would exceed the energy budget,
+// the part cap or a per-part limit. Adding single parts (not whole tiers) keeps
+// body size proportional to the budget.
+//   options.moveRatio  - MOVE parts per non-MOVE part (see MOVE_RATIO_BY_TERRAIN)
+//   options.minMove    - MOVE parts to include regardless of ratio (default 1)
+//   options.partLimits - { [part]: max } caps, e.g. 5 WORK saturates a source
+function generateBody(pattern, maxParts, energyBudget, options = {}) {
+    const moveRatio = options.moveRatio !== undefined ? options.moveRatio : MOVE_RATIO_BY_TERRAIN.road;
+    const minMove = options.minMove !== undefined ? options.minMove : 1;
+    const partLimits = options.partLimits || {};
+    const partCap = Math.min(maxParts || MAX_CREEP_SIZE, MAX_CREEP_SIZE);
+    
+    const parts = [];
+    const partCounts = {};
+    let partsCost = 0;
+    
+    const movesFor = (partCount) => Math.max(minMove, Math.ceil(partCount * moveRatio));
+    
+    // Stop when a full pass over the pattern adds nothing (every part capped)
+    let stalledParts = 0;
+    for (let i = 0; stalledParts < pattern.length; i++) {
+        const part = pattern[i % pattern.length];
+        
+        if (partLimits[part] !== undefined && (partCounts[part] || 0) >= partLimits[part]) {
+            stalledParts++;
+            continue;
+        }
+        
+        const moves = movesFor(parts.length + 1);
+        const cost = partsCost + BODYPART_COST[part] + moves * BODYPART_COST[MOVE];
+        if (cost > energyBudget || parts.length + 1 + moves > partCap) break;
+        
+        parts.push(part);
+        partCounts[part] = (partCounts[part] || 0) + 1;
+        partsCost += BODYPART_COST[part];
+        stalledParts = 0;
     }
+    
+    if (parts.length === 0) return [];
+    
+    const body = parts.slice();
+    for (let i = 0; i < movesFor(parts.length); i++) body.push(MOVE);
+    
+    return orderBodyParts(body);
+}
+
+// Order parts for survivability: damage hits the front of the body first, so TOUGH
+// leads, working parts follow, MOVE keeps the creep mobile behind them and HEAL goes last
+function orderBodyParts(body) {
+    const order = [TOUGH, WORK, CARRY, CLAIM, ATTACK, RANGED_ATTACK, MOVE, HEAL];
+    return _.sortBy(body, part => order.indexOf(part));
 }
 
 // Create construction sites for planned structures that don't exist
 function createMissingConstructionSites(room) {
     if (!room.memory.plannedStructures) return;
+    if (room.memory.buildingPaused) return; // Paused from the console (mini.pauseBuilding)
     
     const rcl = room.controller.level;
     
-    // Limit construction sites to avoid spam - reduce limit when building roads
-    const existingConstructionSites = room.find(FIND_CONSTRUCTION_SITES).length;
-    const roadSites = room.find(FIND_CONSTRUCTION_SITES, {
-        filter: s => s.structureType === STRUCTURE_ROAD
-    }).length;
-    
-    // If we're building mostly roads, be more conservative with construction sites
-    const maxSites = roadSites > existingConstructionSites * 0.8 ? 8 : 15;
-    if (existingConstructionSites >= maxSites) return;
+    // Open no more sites than builders can finish (see getConstructionBudget)
+    const budget = getConstructionBudget(room);
     
     // Filter structures by current RCL to avoid error spam
     const allowedStructures = getAllowedStructuresByRCL(rcl);
@@ -1823,22 +3822,11 @@ function createMissingConstructionSites(room) {
         constructionSites[site.structureType] = (constructionSites[site.structureType] || 0) + 1;
     });
     
-    // Sort planned structures by priority, with extensions sorted by distance to spawn
+    // Sort planned structures by the build order, with extensions sorted by distance to spawn
     const spawn = room.find(FIND_MY_SPAWNS)[0];
+    const buildOrder = getBuildOrder(room);
+    const priorityOrder = buildOrder.order;
     const sortedPlannedStructures = [...room.memory.plannedStructures].sort((a, b) => {
-        // Priority order for structure types - extensions first!
-        const priorityOrder = [
-            STRUCTURE_EXTENSION,
-            STRUCTURE_SPAWN,
-            STRUCTURE_STORAGE,
-            STRUCTURE_TOWER,
-            STRUCTURE_CONTAINER,
-            STRUCTURE_WALL,
-            STRUCTURE_ROAD,
-            STRUCTURE_LINK,
-            STRUCTURE_TERMINAL
-        ];
-        
         const aPriority = priorityOrder.indexOf(a.type);
         const bPriority = priorityOrder.indexOf(b.type);
         
@@ -1863,20 +3851,9 @@ function createMissingConstructionSites(room) {
     
     let created = 0;
     let totalPlanned = 0;
-    let extensionsCreated = 0;
-    let roadsSkipped = 0;
+    let overBudget = 0;
     const createdByType = {};
-    
-    // Count existing important structures to determine if we should build roads yet
-    const existingExtensions = room.find(FIND_STRUCTURES, {
-        filter: s => s.structureType === STRUCTURE_EXTENSION
-    }).length;
-    const existingContainers = room.find(FIND_STRUCTURES, {
-        filter: s => s.structureType === STRUCTURE_CONTAINER
-    }).length;
-    
-    // Only build roads after we have some essential structures
-    const shouldBuildRoads = existingExtensions >= 5 && existingContainers >= 1;
+    const heldBack = {};
     
     for (const planned of sortedPlannedStructures) {
         totalPlanned++;
@@ -1894,9 +3871,9 @@ function createMissingConstructionSites(room) {
             continue; // Already at limit, skip this structure
         }
 
-        // Skip roads until we have essential structures built
-        if (planned.type === STRUCTURE_ROAD && !shouldBuildRoads) {
-            roadsSkipped++;
+        // Skip types whose build order dependencies aren't built yet
+        if (buildOrder.blocked[planned.type]) {
+            heldBack[planned.type] = (heldBack[planned.type] || 0) + 1;
             continue;
         }
         
@@ -1909,22 +3886,31 @@ function createMissingConstructionSites(room) {
     const hasConstructionSite = constructionSitesAtPos.some(c => c.structureType === planned.type);
 
         if (!hasStructure && !hasConstructionSite) {
+            // Over budget: skip low-priority sites, but keep the rest of the budget for a building
+            // (making room by removing unstarted low-priority sites if that's what it takes)
+            const lowPriority = LOW_PRIORITY_SITE_TYPES.includes(planned.type);
+            if (!fitsConstructionBudget(budget, planned.type) && (lowPriority || !evictLowPrioritySites(room, budget, planned.type))) {
+                overBudget++;
+                if (lowPriority) continue;
+                break;
+            }
+            
             const result = room.createConstructionSite(pos.x, pos.y, planned.type);
             if (result === OK) {
                 created++;
                 createdByType[planned.type] = (createdByType[planned.type] || 0) + 1;
-                if (planned.type === STRUCTURE_EXTENSION) {
-                    extensionsCreated++;
-                }
+                constructionSites[planned.type] = (constructionSites[planned.type] || 0) + 1;
+                addToConstructionBudget(budget, planned.type, CONSTRUCTION_COST[planned.type]);
             } else if (result !== ERR_RCL_NOT_ENOUGH) {
                 // Only log unexpected failures (not RCL gating)
                 console.log(`❌ Failed to create ${planned.type} at (${pos.x},${pos.y}): ${result}`);
             }
         }
-
-        // Limit total construction sites, but allow more extensions
-        if (created >= 10 && extensionsCreated >= 5) break;
     }
+    room.memory.constructionBudget = {
+        sites: budget.sites, maxSites: budget.maxSites,
+        progress: budget.progress, maxProgress: budget.maxProgress, workParts: budget.workParts, updated: Game.time
+    };
     
     if (created > 0) {
         const parts = [];
@@ -1934,8 +3920,11 @@ function createMissingConstructionSites(room) {
         }
         console.log(`🏗️ Created ${created} construction sites (${parts.join(', ')})`);
     }
-    if (roadsSkipped > 0) {
-        console.log(`🛣️ Skipped ${roadsSkipped} roads - building extensions first (need ${Math.max(0, 5 - existingExtensions)} more extensions and ${Math.max(0, 1 - existingContainers)} more containers)`);
+    if (overBudget > 0) {
+        console.log(`💰 Site budget full: ${budget.sites}/${budget.maxSites} sites, ${budget.progress}/${budget.maxProgress} progress (${budget.workParts} WORK) - ${overBudget} planned sites wait`);
+    }
+    for (const type in heldBack) {
+        console.log(`⏳ Held back ${heldBack[type]} ${type} (${buildOrder.phase} phase) - waiting for ${buildOrder.blocked[type]}`);
     }
     
     // Log structure limits for debugging
@@ -1946,6 +3935,124 @@ function createMissingConstructionSites(room) {
     console.log(`🏗️ Extensions: ${currentExtensions} built + ${extensionSites} sites = ${currentExtensions + extensionSites}/${extensionLimit} allowed`);
 }
 
+// Build order for the room's current RCL: the phase (last BUILD_PHASES entry at or below the RCL),
+// structure types in priority order (the phase's `first` types, then BUILD_PRIORITY) and the types
+// held back by unmet `requires` of this and earlier phases, with what they wait for. A requirement
+// the plan can't meet (nothing of the needed type built or planned) holds nothing back.
+// Cached on the room object for the tick.
+function getBuildOrder(room) {
+    if (room._buildOrder && room._buildOrder.time === Game.time) return room._buildOrder;
+    
+    const rcl = room.controller.level;
+    const phases = BUILD_PHASES.filter(phase => phase.rcl <= rcl);
+    const phase = phases[phases.length - 1];
+    const first = phase.first || [];
+    const order = first.concat(BUILD_PRIORITY.filter(type => first.indexOf(type) === -1));
+    
+    const built = _.countBy(room.find(FIND_STRUCTURES), 'structureType');
+    const plannedTypes = _.countBy(room.memory.plannedStructures || [], 'type');
+    const blocked = {};
+    phases.forEach(p => {
+        for (const type in p.requires) {
+            for (const needed in p.requires[type]) {
+                const missing = p.requires[type][needed] - (built[needed] || 0);
+                if (missing <= 0 || (!built[needed] && !plannedTypes[needed])) continue;
+                blocked[type] = (blocked[type] ? blocked[type] + ', ' : '') + `${missing} more ${needed}`;
+            }
+        }
+    });
+    
+    room._buildOrder = { time: Game.time, phase: phase.name, rcl: phase.rcl, order: order, blocked: blocked };
+    return room._buildOrder;
+}
+
+// Construction site budget for a room: how many sites and how much build progress may be open.
+// Progress is what the room's builders can deliver in CONSTRUCTION_BUDGET_TICKS - their WORK parts
+// times BUILD_POWER, capped by CONSTRUCTION_INCOME_SHARE of source income (plus the same share of
+// storage spread over the budget period). Sites are capped by the
+// global MAX_CONSTRUCTION_SITES (less CONSTRUCTION_SITE_RESERVE) and never drop below
+// CONSTRUCTION_MIN_SITES. Roads, walls and ramparts may use at most CONSTRUCTION_LOW_PRIORITY_SHARE.
+function getConstructionBudget(room) {
+    const builders = _.filter(Game.creeps, creep => creep.memory.role === 'builder' && creep.room.name === room.name);
+    const workParts = _.sum(builders, creep => creep.getActiveBodyparts(WORK));
+    const budgetTicks = getConfig('CONSTRUCTION_BUDGET_TICKS', room);
+    const stored = room.storage ? room.storage.store[RESOURCE_ENERGY] : 0;
+    const income = _.sum(room.find(FIND_SOURCES), source => source.energyCapacity / ENERGY_REGEN_TIME) + stored / budgetTicks;
+    const buildRate = Math.min(workParts * BUILD_POWER, income * getConfig('CONSTRUCTION_INCOME_SHARE', room));
+    const maxProgress = Math.round(buildRate * budgetTicks);
+    
+    const sites = room.find(FIND_MY_CONSTRUCTION_SITES);
+    const globalFree = MAX_CONSTRUCTION_SITES - getConfig('CONSTRUCTION_SITE_RESERVE', room) - Object.keys(Game.constructionSites).length;
+    const maxSites = Math.max(0, sites.length + globalFree);
+    const lowShare = getConfig('CONSTRUCTION_LOW_PRIORITY_SHARE', room);
+    
+    const budget = {
+        sites: 0, lowSites: 0, progress: 0, lowProgress: 0,
+        maxSites: maxSites,
+        maxLowSites: Math.ceil(maxSites * lowShare),
+        maxProgress: maxProgress,
+        maxLowProgress: Math.round(maxProgress * lowShare),
+        minSites: Math.min(maxSites, getConfig('CONSTRUCTION_MIN_SITES', room)),
+        workParts: workParts,
+        openSites: sites
+    };
+    sites.forEach(site => addToConstructionBudget(budget, site.structureType, site.progressTotal - site.progress));
+    return budget;
+}
+
+// Helper function: Count a site (new or already open) against the budget
+function addToConstructionBudget(budget, structureType, progress) {
+    budget.sites++;
+    budget.progress += progress;
+    if (LOW_PRIORITY_SITE_TYPES.includes(structureType)) {
+        budget.lowSites++;
+        budget.lowProgress += progress;
+    }
+}
+
+// Helper function: Would one more site of this type stay within the budget
+function fitsConstructionBudget(budget, structureType) {
+    if (budget.sites >= budget.maxSites) return false;
+    if (budget.sites < budget.minSites) return true;
+    
+    const cost = CONSTRUCTION_COST[structureType];
+    if (budget.progress + cost > budget.maxProgress) return false;
+    if (LOW_PRIORITY_SITE_TYPES.includes(structureType)) {
+        return budget.lowSites < budget.maxLowSites && budget.lowProgress + cost <= budget.maxLowProgress;
+    }
+    return true;
+}
+
+// Helper function: Remove unstarted low-priority sites until a site of this type fits the budget.
+// Only planned sites are removed (they come back later); hand-placed ones are left alone.
+// Returns false (removing nothing) when even removing all of them wouldn't make room.
+function evictLowPrioritySites(room, budget, structureType) {
+    const candidates = budget.openSites.filter(site => site.progress === 0 && LOW_PRIORITY_SITE_TYPES.includes(site.structureType) &&
+        room.memory.plannedStructures.some(p => p.x === site.pos.x && p.y === site.pos.y && p.type === site.structureType));
+    const cost = CONSTRUCTION_COST[structureType];
+    const freedProgress = _.sum(candidates, site => site.progressTotal);
+    if (candidates.length === 0 || budget.sites - candidates.length >= budget.maxSites ||
+        (budget.sites - candidates.length >= budget.minSites && budget.progress - freedProgress + cost > budget.maxProgress)) {
+        return false;
+    }
+    
+    let removed = 0;
+    for (const site of candidates) {
+        if (fitsConstructionBudget(budget, structureType)) break;
+        if (site.remove() !== OK) continue;
+        _.pull(budget.openSites, site);
+        budget.sites--;
+        budget.lowSites--;
+        budget.progress -= site.progressTotal;
+        budget.lowProgress -= site.progressTotal;
+        removed++;
+    }
+    if (removed > 0) {
+        console.log(`💰 Removed ${removed} unstarted low-priority sites to make room for a ${structureType}`);
+    }
+    return fitsConstructionBudget(budget, structureType);
+}
+
 // Helper function: Get maximum allowed structures by RCL and type
 function getMaxStructuresByRCL(rcl, structureType) {
     const limits = {
@@ -1957,8 +4064,14 @@ function getMaxStructuresByRCL(rcl, structureType) {
         [STRUCTURE_TOWER]: [0, 0, 0, 1, 1, 2, 2, 3, 6][rcl] || 0,
         [STRUCTURE_STORAGE]: [0, 0, 0, 0, 1, 1, 1, 1, 1][rcl] || 0,
         [STRUCTURE_LINK]: [0, 0, 0, 0, 0, 2, 3, 4, 6][rcl] || 0,
-        [STRUCTURE_TERMINAL]: [0, 0, 0, 0, 0, 0, 0, 0, 1][rcl] || 0,
-        [STRUCTURE_SPAWN]: [1, 1, 1, 1, 1, 1, 1, 2, 3][rcl] || 0
+        [STRUCTURE_TERMINAL]: [0, 0, 0, 0, 0, 0, 1, 1, 1][rcl] || 0,
+        [STRUCTURE_EXTRACTOR]: [0, 0, 0, 0, 0, 0, 1, 1, 1][rcl] || 0,
+        [STRUCTURE_SPAWN]: [1, 1, 1, 1, 1, 1, 1, 2, 3][rcl] || 0,
+        [STRUCTURE_LAB]: [0, 0, 0, 0, 0, 0, 3, 6, 10][rcl] || 0,
+        [STRUCTURE_FACTORY]: [0, 0, 0, 0, 0, 0, 0, 1, 1][rcl] || 0,
+        [STRUCTURE_POWER_SPAWN]: [0, 0, 0, 0, 0, 0, 0, 0, 1][rcl] || 0,
+        [STRUCTURE_OBSERVER]: [0, 0, 0, 0, 0, 0, 0, 0, 1][rcl] || 0,
+        [STRUCTURE_NUKER]: [0, 0, 0, 0, 0, 0, 0, 0, 1][rcl] || 0
     };
     
     return limits[structureType] || 0;
@@ -1980,11 +4093,11 @@ function getAllowedStructuresByRCL(rcl) {
         case 5:
             return [...baseStructures, STRUCTURE_WALL, STRUCTURE_RAMPART, STRUCTURE_TOWER, STRUCTURE_STORAGE, STRUCTURE_LINK];
         case 6:
-            return [...baseStructures, STRUCTURE_WALL, STRUCTURE_RAMPART, STRUCTURE_TOWER, STRUCTURE_STORAGE, STRUCTURE_LINK, STRUCTURE_EXTRACTOR, STRUCTURE_LAB];
+            return [...baseStructures, STRUCTURE_WALL, STRUCTURE_RAMPART, STRUCTURE_TOWER, STRUCTURE_STORAGE, STRUCTURE_LINK, STRUCTURE_EXTRACTOR, STRUCTURE_LAB, STRUCTURE_TERMINAL];
         case 7:
-            return [...baseStructures, STRUCTURE_WALL, STRUCTURE_RAMPART, STRUCTURE_TOWER, STRUCTURE_STORAGE, STRUCTURE_LINK, STRUCTURE_EXTRACTOR, STRUCTURE_LAB, STRUCTURE_FACTORY];
+            return [...baseStructures, STRUCTURE_WALL, STRUCTURE_RAMPART, STRUCTURE_TOWER, STRUCTURE_STORAGE, STRUCTURE_LINK, STRUCTURE_EXTRACTOR, STRUCTURE_LAB, STRUCTURE_TERMINAL, STRUCTURE_FACTORY, STRUCTURE_SPAWN];
         case 8:
-            return [...baseStructures, STRUCTURE_WALL, STRUCTURE_RAMPART, STRUCTURE_TOWER, STRUCTURE_STORAGE, STRUCTURE_LINK, STRUCTURE_EXTRACTOR, STRUCTURE_LAB, STRUCTURE_FACTORY, STRUCTURE_TERMINAL, STRUCTURE_OBSERVER, STRUCTURE_POWER_SPAWN, STRUCTURE_NUKER];
+            return [...baseStructures, STRUCTURE_WALL, STRUCTURE_RAMPART, STRUCTURE_TOWER, STRUCTURE_STORAGE, STRUCTURE_LINK, STRUCTURE_EXTRACTOR, STRUCTURE_LAB, STRUCTURE_FACTORY, STRUCTURE_TERMINAL, STRUCTURE_OBSERVER, STRUCTURE_POWER_SPAWN, STRUCTURE_NUKER, STRUCTURE_SPAWN];
         default:
             return baseStructures;
     }
@@ -2050,6 +4163,37 @@ function displayStatusDashboard(room, creeps) {
     const targets = getPopulationByRCL(rcl);
     console.log(`Miners: ${creeps.miner.length}/${targets.miner} | Haulers: ${creeps.hauler.length}/${targets.hauler} (${busyHaulers} busy, ${idleHaulers} idle)`);
     console.log(`Upgraders: ${creeps.upgrader.length}/${targets.upgrader} | Builders: ${creeps.builder.length}/${targets.builder}`);
+    const linkNetwork = getLinkNetwork(room);
+    if (linkNetwork) {
+        const linkEnergy = link => link ? `${link.store[RESOURCE_ENERGY]}e` : 'none';
+        console.log(`Links: ${linkNetwork.source.length} source | hub ${linkEnergy(linkNetwork.hub)} | controller ${linkEnergy(linkNetwork.controller)}/${getConfig('LINK_CONTROLLER_TARGET', room)} | Fillers: ${creeps.filler.length}/${targets.filler}`);
+    }
+    const upgradeFeed = getUpgradeFeed(room);
+    const upgradeFeedState = getUpgradeFeedState(room);
+    const feedSource = upgradeFeed.linkFed ? 'controller link' :
+        (upgradeFeed.container ? `container ${upgradeFeed.container.store[RESOURCE_ENERGY]}/${getConfig('UPGRADE_FEED_TARGET', room)}, feeders ${upgradeFeedState.feeders.length}/${upgradeFeed.haulersNeeded}` : 'none');
+    console.log(`Upgrade: ${upgradeFeedState.rate.toFixed(1)}/${upgradeFeed.targetRate} e/tick | feed: ${feedSource}`);
+    const upgradeBoost = getUpgradeBoost(room);
+    if (upgradeBoost) {
+        const boostState = getBoostState(room);
+        const lab = upgradeBoost.lab;
+        const labCompound = upgradeBoost.compound ? lab.store[upgradeBoost.compound] || 0 : 0;
+        const stock = _.sum(UPGRADE_BOOSTS, compound => getBoostStock(room, lab, compound));
+        const purchase = boostState.lastPurchase ? ` | bought ${boostState.lastPurchase.amount} ${boostState.lastPurchase.compound} ${Game.time - boostState.lastPurchase.time}t ago` : '';
+        console.log(`Boosts: ${upgradeBoost.compound || 'none in stock'} | lab ${labCompound} + ${lab.store[RESOURCE_ENERGY] || 0}e | stock ${stock}/${getConfig('BOOST_STOCK', room)} | ${boostState.boosted} upgraders boosted${purchase}`);
+    }
+    const factory = getFactory(room);
+    if (factory) {
+        const factoryState = getFactoryState(room);
+        const batteries = factory.store[RESOURCE_BATTERY] || 0;
+        console.log(`Factory: ${factoryState.mode} | ${factory.store[RESOURCE_ENERGY] || 0}e + ${batteries} batteries (${getBatteryEnergy(batteries)}e) | made ${factoryState.compressed}, released ${factoryState.released}e`);
+    }
+    const mineralSetup = rcl >= 6 ? getMineralSetup(room) : null;
+    if (mineralSetup && mineralSetup.extractor) {
+        const mineral = mineralSetup.mineral;
+        const mineralState = mineral.mineralAmount > 0 ? `${mineral.mineralAmount} left` : `regenerating (${mineral.ticksToRegeneration}t)`;
+        console.log(`Mineral Miners: ${creeps.mineralMiner.length}/${targets.mineralMiner} | ${mineral.mineralType}: ${mineralState}`);
+    }
     
     // Show energy distribution across sources
     if (totalGroundEnergy > 100) {
@@ -2060,6 +4204,56 @@ function displayStatusDashboard(room, creeps) {
         console.log(`Source ${data.id}: ${data.total}e total, ${data.assignedCreeps} creeps ${groundIndicator}`);
     });
     
+    // Show what is waiting to spawn and why
+    const spawnQueue = room.memory.spawnQueue || [];
+    if (spawnQueue.length > 0) {
+        console.log(`\n--- SPAWN QUEUE (${spawnQueue.length}) ---`);
+        _.sortBy(spawnQueue, entry => entry.priority * 1000000 + entry.queuedAt).slice(0, 5).forEach((entry, index) => {
+            console.log(`${index + 1}. ${entry.role} [p${entry.priority}] ${entry.reason} - queued ${Game.time - entry.queuedAt}t ago, expires in ${entry.deadline - Game.time}t`);
+        });
+    }
+    
+    // Latest terminal market activity
+    const marketLog = room.memory.marketLog || [];
+    if (marketLog.length > 0) {
+        const lastTrade = marketLog[marketLog.length - 1];
+        console.log(`\n--- MARKET ---`);
+        console.log(`Last sale: ${lastTrade.amount} ${lastTrade.resource} @ ${lastTrade.price} (${Game.time - lastTrade.time}t ago), ${marketLog.length} trades logged`);
+    }
+    
+    // Latest base plan repair
+    const planHistory = room.memory.planHistory || [];
+    if (planHistory.length > 0) {
+        const lastChange = planHistory[planHistory.length - 1];
+        console.log(`\n--- BASE PLAN ---`);
+        console.log(`Last change (${lastChange.reason}, ${Game.time - lastChange.time}t ago): +${lastChange.added.length} / -${lastChange.removed.length} structures` +
+            (lastChange.stamps.length > 0 ? `, re-ran ${lastChange.stamps.join(', ')}` : ''));
+    }
+
+    // Gate ramparts and who they're open for
+    const gateState = room.memory.gates;
+    if (gateState && gateState.tiles.length > 0) {
+        const openGates = gateState.tiles.filter(tile => tile.open);
+        console.log(`\n--- GATES ---`);
+        if (gateState.lockdownUntil > Game.time) {
+            console.log(`🚧 LOCKDOWN: ${gateState.tiles.length} gates closed for ${gateState.lockdownUntil - Game.time}t more (hostiles seen)`);
+        } else {
+            console.log(`${openGates.length}/${gateState.tiles.length} open` +
+                (openGates.length > 0 ? ` at ${openGates.map(tile => `${tile.x},${tile.y}`).join(' ')}` : '') +
+                ` | allies: ${getConfig('ALLIES', room).join(', ') || 'none'}`);
+        }
+    }
+
+    // Build order phase and what it is waiting for
+    const buildOrder = getBuildOrder(room);
+    console.log(`\n--- BUILD PHASE: ${buildOrder.phase} (RCL ${buildOrder.rcl}+) ---`);
+    console.log(`Priority: ${buildOrder.order.slice(0, 5).join(' > ')}` +
+        (Object.keys(buildOrder.blocked).length > 0 ? ` | held back: ${_.map(buildOrder.blocked, (reason, type) => `${type} (${reason})`).join(', ')}` : ''));
+
+    if (room.memory.buildingPaused) {
+        console.log(`\n⏸️  BUILDING PAUSED (mini.resumeBuilding() to continue)`);
+    }
+    
     if (constructionSites > 0) {
         console.log(`\n--- CONSTRUCTION ---`);
         console.log(`${constructionSites} sites remaining`);
@@ -2072,6 +4266,10 @@ function displayStatusDashboard(room, creeps) {
         });
         const siteList = Object.entries(siteTypes).map(([type, count]) => `${count}x ${type}`).join(', ');
         console.log(`Building: ${siteList}`);
+        const budget = room.memory.constructionBudget;
+        if (budget) {
+            console.log(`Budget: ${budget.sites}/${budget.maxSites} sites, ${budget.progress}/${budget.maxProgress} progress from ${budget.workParts} builder WORK`);
+        }
     }
     
     // Show any issues
@@ -2117,6 +4315,21 @@ function visualizeBasePlan(room) {
         visual.text(planned.type.replace('structure_','').substr(0,2).toUpperCase(), pos.x, pos.y, {color:'#222',font:0.5});
     });
 
+    // Gates: green while open for an ally, red while closed (thick ring during lockdown)
+    const gateState = room.memory.gates;
+    if (gateState) {
+        const locked = gateState.lockdownUntil > Game.time;
+        gateState.tiles.forEach(tile => {
+            const color = tile.open ? '#2ecc71' : '#e74c3c';
+            visual.rect(tile.x - 0.5, tile.y - 0.5, 1, 1, {fill: 'transparent', stroke: color, strokeWidth: locked ? 0.15 : 0.07, opacity: 0.8});
+        });
+        if (gateState.tiles.length > 0) {
+            const openCount = gateState.tiles.filter(tile => tile.open).length;
+            visual.text(locked ? `Gates: LOCKDOWN ${gateState.lockdownUntil - Game.time}t` : `Gates: ${openCount}/${gateState.tiles.length} open`,
+                anchor.x, anchor.y - 2.5, {color: locked ? '#e74c3c' : '#2ecc71', font: 0.5});
+        }
+    }
+
     // 2. Energy/Controller overlays
     // Sources: show container + ground energy, renewal timer
     const sources = room.find(FIND_SOURCES);
@@ -2210,10 +4423,25 @@ function runCreep(creep) {
         case 'builder':
             runBuilder(creep);
             break;
+        case 'mineralMiner':
+            runMineralMiner(creep);
+            break;
+        case 'filler':
+            runFiller(creep);
+            break;
     }
 }
 
 function runTowers(room) {
+    // Find hostile creeps in the room (allies are left alone) and shut the gates on them
+    const allies = getConfig('ALLIES', room);
+    const hostiles = room.find(FIND_HOSTILE_CREEPS, {
+        filter: (creep) => !isAlly(creep.owner.username, allies)
+    });
+    if (hostiles.length > 0) {
+        lockGates(room, hostiles);
+    }
+    
     // Find all towers in the room
     const towers = room.find(FIND_MY_STRUCTURES, {
         filter: (structure) => structure.structureType === STRUCTURE_TOWER
@@ -2221,9 +4449,6 @@ function runTowers(room) {
 
     if (towers.length === 0) return; // No towers to operate
 
-    // Find hostile creeps in the room
-    const hostiles = room.find(FIND_HOSTILE_CREEPS);
-
     if (hostiles.length > 0) {
         console.log(`🚨 ${hostiles.length} hostile creep(s) detected! Activating tower defense.`);
 
@@ -2266,13 +4491,13 @@ function runTowers(room) {
             const structuresNeedingRepair = getStructuresNeedingRepair(room);
 
             if (structuresNeedingRepair.length > 0) {
+                const rcl = room.controller.level;
+                const wallTarget = getConfig('WALL_TARGET_HITS', room)[rcl] || WALL_TARGET_HITS[1];
+                const rampartTarget = getConfig('RAMPART_TARGET_HITS', room)[rcl] || RAMPART_TARGET_HITS[1];
                 towers.forEach(tower => {
                     // Find the most damaged structure within range
                     const target = tower.pos.findClosestByRange(structuresNeedingRepair);
                     if (target) {
-                        const rcl = room.controller.level;
-                        const wallTarget = WALL_TARGET_HITS[rcl] || WALL_TARGET_HITS[1];
-                        const rampartTarget = RAMPART_TARGET_HITS[rcl] || RAMPART_TARGET_HITS[1];
 
                         // Skip repairs if target already meets configured thresholds
                         if (target.structureType === STRUCTURE_WALL && target.hits >= wallTarget) return;
@@ -2294,6 +4519,92 @@ function runTowers(room) {
     }
 }
 
+// Helper function: Is this player on the ALLIES list (read getConfig('ALLIES') once outside find filters)
+function isAlly(username, allies) {
+    return allies.indexOf(username) !== -1;
+}
+
+// Helper function: Built gate ramparts - the ramparts of the curtain and min-cut perimeter stamps and
+// the bunker's rampart ring, skipping any that cover a building (nothing could walk through them)
+function getGateRamparts(room) {
+    const planStamps = room.memory.planStamps;
+    if (!planStamps) return [];
+    
+    const gateTiles = [];
+    ['curtains', 'perimeter', 'core'].forEach(name => {
+        if (!planStamps[name]) return;
+        planStamps[name].structures.forEach(entry => {
+            if (entry.type === STRUCTURE_RAMPART) gateTiles.push(entry);
+        });
+    });
+    
+    const gates = [];
+    gateTiles.forEach(tile => {
+        const structures = room.lookForAt(LOOK_STRUCTURES, tile.x, tile.y);
+        const rampart = _.find(structures, s => s.structureType === STRUCTURE_RAMPART && s.my);
+        const walkable = structures.every(s => s.structureType === STRUCTURE_RAMPART || s.structureType === STRUCTURE_ROAD ||
+            s.structureType === STRUCTURE_CONTAINER);
+        if (rampart && walkable) gates.push(rampart);
+    });
+    return _.uniq(gates, gate => gate.id);
+}
+
+// Close every gate right away and keep them closed for GATE_LOCKDOWN_TICKS (called by runTowers)
+function lockGates(room, hostiles) {
+    const state = room.memory.gates || (room.memory.gates = { tiles: [] });
+    const wasLocked = state.lockdownUntil > Game.time;
+    state.lockdownUntil = Game.time + getConfig('GATE_LOCKDOWN_TICKS', room);
+    
+    const gates = getGateRamparts(room);
+    gates.forEach(gate => {
+        if (gate.isPublic) gate.setPublic(false);
+    });
+    state.tiles = gates.map(gate => ({ x: gate.pos.x, y: gate.pos.y, open: false }));
+    
+    if (!wasLocked && gates.length > 0) {
+        const owners = _.uniq(hostiles.map(creep => creep.owner.username));
+        console.log(`🚧 Gates locked: ${hostiles.length} hostile creep(s) from ${owners.join(', ')} in ${room.name}`);
+    }
+}
+
+// Gate management: each gate is public only while an allied creep is within GATE_OPEN_RANGE
+// and the room isn't in lockdown. Public ramparts let every player through, so a gate stays
+// open no longer than an ally needs it. State is kept in room.memory.gates for the dashboard.
+function manageGates(room) {
+    const state = room.memory.gates;
+    const locked = state && state.lockdownUntil > Game.time;
+    const allyNames = getConfig('ALLIES', room);
+    const allies = locked ? [] : room.find(FIND_HOSTILE_CREEPS, {
+        filter: (creep) => isAlly(creep.owner.username, allyNames)
+    });
+    const wasOpen = state ? state.tiles.filter(tile => tile.open).length : 0;
+    
+    // Nothing to open or close - just refresh the gate list now and then
+    if (allies.length === 0 && wasOpen === 0 && Game.time % 10 !== 0) return;
+    
+    const gates = getGateRamparts(room);
+    if (gates.length === 0) {
+        delete room.memory.gates;
+        return;
+    }
+    if (!room.memory.gates) room.memory.gates = { tiles: [] };
+    const openRange = getConfig('GATE_OPEN_RANGE', room);
+    
+    room.memory.gates.tiles = gates.map(gate => {
+        const open = allies.some(creep => creep.pos.getRangeTo(gate) <= openRange);
+        if (gate.isPublic !== open) gate.setPublic(open);
+        return { x: gate.pos.x, y: gate.pos.y, open: open };
+    });
+    
+    const nowOpen = room.memory.gates.tiles.filter(tile => tile.open).length;
+    if (nowOpen > 0 && wasOpen === 0) {
+        const names = _.uniq(allies.map(creep => creep.owner.username));
+        console.log(`🚪 Gates opened (${nowOpen}/${gates.length}) for ${names.join(', ')}`);
+    } else if (nowOpen === 0 && wasOpen > 0) {
+        console.log(`🚪 Gates closed`);
+    }
+}
+
 function runMiner(creep) {
     // Miners are parked on containers and just harvest continuously
     // Find assigned source or assign a new one
@@ -2344,7 +4655,20 @@ function runMiner(creep) {
 
     if (container) {
         // Valid adjacent container found - move to it and harvest
-        if (creep.pos.isEqualTo(container.pos)) {
+        // Pre-spawned replacement: the old miner keeps the container until it expires or is recycled
+        if (creep.memory.replaces && !Game.creeps[creep.memory.replaces]) {
+            delete creep.memory.replaces;
+        }
+        const occupant = creep.pos.isEqualTo(container.pos) ? null : container.pos.lookFor(LOOK_CREEPS)[0];
+        
+        if (occupant && occupant.my && occupant.memory.role === 'miner') {
+            // Wait next to the container tile and take it over as soon as it frees up
+            if (!creep.pos.isNearTo(container.pos)) {
+                creep.moveTo(container.pos, { range: 1, visualizePathStyle: { stroke: '#ffaa00' } });
+            } else {
+                creep.say('⏳');
+            }
+        } else if (creep.pos.isEqualTo(container.pos)) {
             // We're on the container, harvest the source
             const harvestResult = creep.harvest(source);
             if (harvestResult === ERR_NOT_ENOUGH_RESOURCES) {
@@ -2353,6 +4677,16 @@ function runMiner(creep) {
             } else if (harvestResult !== OK && harvestResult !== ERR_BUSY) {
                 console.log(`⚠️ ${creep.name}: Harvest error ${harvestResult} at source ${source.id}`);
             }
+            
+            // Each tick's harvest goes into the source link before the carry can overflow; only while
+            // the link is full (or missing) do harvests spill into the container
+            if (creep.getActiveBodyparts(CARRY) > 0 &&
+                creep.store[RESOURCE_ENERGY] >= creep.getActiveBodyparts(WORK) * HARVEST_POWER) {
+                const link = getSourceLink(creep.room, container);
+                if (link && link.store.getFreeCapacity(RESOURCE_ENERGY) > 0) {
+                    creep.transfer(link, RESOURCE_ENERGY);
+                }
+            }
         } else {
             // Move to the valid container
             creep.moveTo(container.pos, { visualizePathStyle: { stroke: '#ffaa00' } });
@@ -2392,36 +4726,167 @@ function runMiner(creep) {
     }
 }
 
+// Helper function: The room mineral with its extractor and adjacent container (either may be missing)
+function getMineralSetup(room) {
+    const mineral = room.find(FIND_MINERALS)[0];
+    if (!mineral) return null;
+    
+    const extractor = mineral.pos.lookFor(LOOK_STRUCTURES).find(s => s.structureType === STRUCTURE_EXTRACTOR);
+    const container = room.find(FIND_STRUCTURES, {
+        filter: s => s.structureType === STRUCTURE_CONTAINER && s.pos.getRangeTo(mineral) === 1
+    })[0];
+    
+    return { mineral, extractor, container };
+}
+
+// Helper function: Whether a mineral miner has anything to do right now
+function isMineralMinable(room) {
+    if (room.controller.level < 6) return false;
+    
+    const setup = getMineralSetup(room);
+    if (!setup || !setup.extractor || !setup.container) return false;
+    
+    // Pause while the mineral regenerates
+    if (setup.mineral.mineralAmount === 0) return false;
+    
+    // Somewhere for haulers to put it
+    return getMineralDeliveryTarget(room) !== null;
+}
+
+function runMineralMiner(creep) {
+    // Mineral miners park on the mineral container like energy miners and drop-mine into it
+    const setup = getMineralSetup(creep.room);
+    if (!setup || !setup.extractor || !setup.container) {
+        if (Game.time % 100 === 0) {
+            console.log(`⚠️ ${creep.name}: No extractor/container at the mineral yet`);
+        }
+        return;
+    }
+    
+    const { mineral, extractor, container } = setup;
+    
+    if (!creep.pos.isEqualTo(container.pos)) {
+        creep.moveTo(container.pos, { visualizePathStyle: { stroke: '#aa66ff' } });
+        return;
+    }
+    
+    // Wait out the extractor cooldown, and don't spill onto the ground when the container is full
+    const harvestAmount = creep.getActiveBodyparts(WORK) * HARVEST_MINERAL_POWER;
+    if (extractor.cooldown > 0 || container.store.getFreeCapacity() < harvestAmount) {
+        return;
+    }
+    
+    const harvestResult = creep.harvest(mineral);
+    if (harvestResult === ERR_NOT_ENOUGH_RESOURCES) {
+        // Mineral depleted - shouldRecycleCreep sends us home until it regenerates
+        creep.say('⏸️');
+    } else if (harvestResult !== OK && harvestResult !== ERR_TIRED) {
+        console.log(`⚠️ ${creep.name}: Mineral harvest error ${harvestResult} at ${mineral.mineralType}`);
+    }
+}
+
+// Filler: parks next to storage and the hub links. Empties the hub links into storage, or loads
+// them from storage with what a controller link is short (when the source links can't send it)
+// so runLinks can forward it.
+function runFiller(creep) {
+    const room = creep.room;
+    const network = getLinkNetwork(room);
+    const storage = room.storage;
+    if (!network || !network.hub || !storage) {
+        if (Game.time % 100 === 0) {
+            console.log(`⚠️ ${creep.name}: No hub link or storage yet`);
+        }
+        return;
+    }
+    
+    const spot = getFillerSpot(room, network.hubs, storage);
+    if (spot && !creep.pos.isEqualTo(spot)) {
+        creep.moveTo(spot, { visualizePathStyle: { stroke: '#ffe56d' } });
+        return;
+    }
+    
+    // Load the hub link with the most room, empty the fullest
+    const hubLink = _.max(network.hubs, link => link.store.getFreeCapacity(RESOURCE_ENERGY));
+    const fullHub = _.max(network.hubs, link => link.store[RESOURCE_ENERGY]);
+    
+    // The hubs feed the controller only when it's short a full send and the source links can't cover
+    // it; then the filler keeps the hub energy there and loads no more than the shortfall
+    const controllerTarget = getConfig('LINK_CONTROLLER_TARGET', room);
+    const shortfall = _.max(network.controllers.map(link => controllerTarget - link.store[RESOURCE_ENERGY]).concat(0));
+    const sourceReady = _.sum(network.source, link => link.cooldown === 0 ? link.store[RESOURCE_ENERGY] : 0);
+    const feedController = shortfall >= getConfig('LINK_SEND_MIN', room) && sourceReady < shortfall;
+    const loadAmount = feedController ? Math.min(shortfall - _.sum(network.hubs, link => link.store[RESOURCE_ENERGY]),
+        hubLink.store.getFreeCapacity(RESOURCE_ENERGY)) : 0;
+    
+    let target;
+    let result;
+    if (creep.store[RESOURCE_ENERGY] > 0) {
+        target = loadAmount > 0 ? hubLink : storage;
+        result = target === hubLink ? creep.transfer(target, RESOURCE_ENERGY, Math.min(creep.store[RESOURCE_ENERGY], loadAmount)) :
+            creep.transfer(target, RESOURCE_ENERGY);
+    } else if (feedController) {
+        const amount = Math.min(creep.store.getFreeCapacity(), loadAmount, storage.store[RESOURCE_ENERGY]);
+        if (amount <= 0) return;
+        target = storage;
+        result = creep.withdraw(storage, RESOURCE_ENERGY, amount);
+    } else if (fullHub.store[RESOURCE_ENERGY] > 0) {
+        target = fullHub;
+        result = creep.withdraw(fullHub, RESOURCE_ENERGY);
+    } else {
+        return;
+    }
+    
+    // No shared tile: walk between the two
+    if (result === ERR_NOT_IN_RANGE) {
+        creep.moveTo(target, { visualizePathStyle: { stroke: '#ffe56d' } });
+    }
+}
+
+// Helper function: Walkable tile next to storage and as many hub links as possible (null if none is next to both)
+function getFillerSpot(room, hubLinks, storage) {
+    const terrain = room.getTerrain();
+    let spot = null;
+    let reached = 0;
+    for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+            const x = storage.pos.x + dx;
+            const y = storage.pos.y + dy;
+            const links = hubLinks.filter(link => link.pos.getRangeTo(x, y) <= 1).length;
+            if ((dx === 0 && dy === 0) || links <= reached) continue;
+            if (terrain.get(x, y) === TERRAIN_MASK_WALL) continue;
+            const blocked = room.lookForAt(LOOK_STRUCTURES, x, y).some(s =>
+                s.structureType !== STRUCTURE_ROAD && s.structureType !== STRUCTURE_CONTAINER && s.structureType !== STRUCTURE_RAMPART);
+            if (!blocked) {
+                spot = new RoomPosition(x, y, room.name);
+                reached = links;
+            }
+        }
+    }
+    return spot;
+}
+
 function runHauler(creep) {
     // Haulers move energy from source containers to spawn/extensions/storage
     
+    // Boost lab runs come first so compound picked up for the lab isn't taken to the terminal
+    if (runBoostLabHaul(creep)) return;
+    
+    // Factory runs: energy into the factory while compressing, out of it during an emergency
+    if (runFactoryHaul(creep)) return;
+    
+    // Mineral runs (carrying minerals or emptying the mineral container) come before energy pickup
+    if (creep.store.getUsedCapacity(RESOURCE_ENERGY) === 0 && runMineralHaul(creep)) return;
+    
     // If carrying energy, find a sink to deliver to
     if (creep.store[RESOURCE_ENERGY] > 0) {
         const spawn = creep.room.find(FIND_MY_SPAWNS)[0];
         
         // Find all potential targets
-        // Determine if there are hostiles present — if so, towers become high-priority targets
-        const hostiles = creep.room.find(FIND_HOSTILE_CREEPS);
-        const spawnTargets = creep.room.find(FIND_STRUCTURES, {
-            filter: (structure) => {
-                // Extensions and spawns always count if they need energy
-                if (structure.structureType === STRUCTURE_EXTENSION || structure.structureType === STRUCTURE_SPAWN) {
-                    return structure.store.getFreeCapacity(RESOURCE_ENERGY) > 0;
-                }
-
-                // Towers: only refill if below threshold or hostiles are present
-                if (structure.structureType === STRUCTURE_TOWER) {
-                    const towerEnergyFrac = (structure.store[RESOURCE_ENERGY] || 0) / (structure.storeCapacity || 1000);
-                    if (hostiles.length > 0) return structure.store.getFreeCapacity(RESOURCE_ENERGY) > 0;
-                    return towerEnergyFrac < TOWER_REFILL_THRESHOLD && structure.store.getFreeCapacity(RESOURCE_ENERGY) > 0;
-                }
-
-                return false;
-            }
-        });
+        const spawnTargets = getEnergyRefillTargets(creep.room);
         
         // Find source positions to identify source containers
         const sources = creep.room.find(FIND_SOURCES);
+        const mineral = creep.room.find(FIND_MINERALS)[0];
         
         const containers = creep.room.find(FIND_STRUCTURES, {
             filter: (structure) => {
@@ -2434,6 +4899,10 @@ function runHauler(creep) {
                         return false; // This is a source container, skip it
                     }
                 }
+                // Nor to the mineral container
+                if (mineral && structure.pos.getRangeTo(mineral) <= 1) {
+                    return false;
+                }
                 return true; // This is a non-source container (like near spawn)
             }
         });
@@ -2444,18 +4913,36 @@ function runHauler(creep) {
                        structure.store.getFreeCapacity(RESOURCE_ENERGY) > 0;
             }
         });
+        
+        // Terminal below its energy target (reserve, plus sell stock while storage is nearly full)
+        const terminal = creep.room.find(FIND_STRUCTURES, {
+            filter: (structure) => {
+                return structure.structureType === STRUCTURE_TERMINAL &&
+                       structure.store[RESOURCE_ENERGY] < getTerminalEnergyTarget(creep.room) &&
+                       structure.store.getFreeCapacity(RESOURCE_ENERGY) > 0;
+            }
+        });
 
         let target = null;
+        const feedTarget = getUpgradeFeedTarget(creep);
         
         // Priority 1: Spawn/Extensions/Towers
         if (spawnTargets.length > 0) {
             target = creep.pos.findClosestByPath(spawnTargets);
         }
-        // Priority 2: Non-source containers (like near spawn for upgraders/builders)
+        // Priority 2: Upgrade feeders keep the controller container stocked
+        else if (feedTarget) {
+            target = feedTarget;
+        }
+        // Priority 3: Non-source containers (like near spawn for upgraders/builders)
         else if (containers.length > 0) {
             target = creep.pos.findClosestByPath(containers);
         }
-        // Priority 3: Storage
+        // Priority 4: Terminal (reserve and market stock)
+        else if (terminal.length > 0) {
+            target = terminal[0];
+        }
+        // Priority 5: Storage
         else if (storage.length > 0) {
             target = creep.pos.findClosestByPath(storage);
         }
@@ -2466,6 +4953,9 @@ function runHauler(creep) {
             }
         }
     } else {
+        // Upgrade feeders load at storage; linked sources deliver to storage - their haulers bring it back out for the spawn
+        if (runUpgradeFeedPickup(creep) || runStorageRefill(creep)) return;
+        
         // Pick up energy from source containers or dropped energy
         const sources = creep.room.find(FIND_SOURCES);
         
@@ -2570,6 +5060,214 @@ function runHauler(creep) {
     }
 }
 
+// Helper function: Spawns and extensions that need energy, and towers below TOWER_REFILL_THRESHOLD
+// (any tower with room while hostiles are present)
+function getEnergyRefillTargets(room) {
+    const hostiles = room.find(FIND_HOSTILE_CREEPS);
+    const towerRefillThreshold = getConfig('TOWER_REFILL_THRESHOLD', room);
+    return room.find(FIND_STRUCTURES, {
+        filter: (structure) => {
+            // Extensions and spawns always count if they need energy
+            if (structure.structureType === STRUCTURE_EXTENSION || structure.structureType === STRUCTURE_SPAWN) {
+                return structure.store.getFreeCapacity(RESOURCE_ENERGY) > 0;
+            }
+
+            // Towers: only refill if below threshold or hostiles are present
+            if (structure.structureType === STRUCTURE_TOWER) {
+                const towerEnergyFrac = (structure.store[RESOURCE_ENERGY] || 0) / (structure.storeCapacity || 1000);
+                if (hostiles.length > 0) return structure.store.getFreeCapacity(RESOURCE_ENERGY) > 0;
+                return towerEnergyFrac < towerRefillThreshold && structure.store.getFreeCapacity(RESOURCE_ENERGY) > 0;
+            }
+
+            return false;
+        }
+    });
+}
+
+// Haulers assigned to a linked source have no container runs to make: they take energy out of
+// storage while the spawn, extensions or towers need it. Returns true when the hauler spent this tick on it.
+function runStorageRefill(creep) {
+    const room = creep.room;
+    if (!creep.memory.assignedSource || !getLinkedSourceIds(room).includes(creep.memory.assignedSource)) return false;
+    
+    const storage = room.storage;
+    if (!storage || storage.store[RESOURCE_ENERGY] === 0 || getEnergyRefillTargets(room).length === 0) return false;
+    
+    if (creep.withdraw(storage, RESOURCE_ENERGY) === ERR_NOT_IN_RANGE) {
+        creep.moveTo(storage, { visualizePathStyle: { stroke: '#ffaa00' } });
+    }
+    return true;
+}
+
+// Boost lab runs: one hauler at a time keeps the boost lab stocked - it clears out anything but the
+// compound in use, then tops up that compound from the terminal and energy from storage.
+// Returns true when the hauler spent this tick on the lab.
+function runBoostLabHaul(creep) {
+    const room = creep.room;
+    const claimant = room.memory.boostHauler;
+    if (claimant && claimant !== creep.name && Game.creeps[claimant]) return false;
+    
+    const task = getBoostLabTask(room);
+    
+    // Deliver what we picked up for the lab
+    if (claimant === creep.name && task && task.action === 'fill' && creep.store[task.resource] > 0) {
+        if (creep.transfer(task.lab, task.resource) === ERR_NOT_IN_RANGE) {
+            creep.moveTo(task.lab, { visualizePathStyle: { stroke: '#aa66ff' } });
+        }
+        return true;
+    }
+    
+    // Anything else we carry (including what we cleared out of the lab) goes the regular way
+    if (!task || creep.store.getUsedCapacity() > 0) {
+        if (claimant === creep.name) delete room.memory.boostHauler;
+        return false;
+    }
+    
+    room.memory.boostHauler = creep.name;
+    const from = task.action === 'clear' ? task.lab : task.from;
+    const amount = task.action === 'clear' ? undefined : Math.min(task.amount, creep.store.getFreeCapacity());
+    if (creep.withdraw(from, task.resource, amount) === ERR_NOT_IN_RANGE) {
+        creep.moveTo(from, { visualizePathStyle: { stroke: '#aa66ff' } });
+    }
+    return true;
+}
+
+// Helper function: Next job for the boost lab (null when it's stocked):
+//   { action: 'clear', lab, resource }              - a mineral that isn't the boost compound
+//   { action: 'fill', lab, resource, from, amount } - compound from the terminal, energy from storage
+function getBoostLabTask(room) {
+    const boost = getUpgradeBoost(room);
+    if (!boost) return null;
+    const lab = boost.lab;
+    
+    if (lab.mineralType && lab.mineralType !== boost.compound && lab.store[lab.mineralType] > 0) {
+        return { action: 'clear', lab: lab, resource: lab.mineralType };
+    }
+    
+    const terminal = room.terminal;
+    const labCompound = boost.compound ? lab.store[boost.compound] || 0 : 0;
+    if (boost.compound && terminal && terminal.store[boost.compound] > 0 && labCompound < LAB_MINERAL_CAPACITY / 2) {
+        return { action: 'fill', lab: lab, resource: boost.compound, from: terminal,
+            amount: Math.min(LAB_MINERAL_CAPACITY - labCompound, terminal.store[boost.compound]) };
+    }
+    
+    const storage = room.storage;
+    const labEnergy = lab.store[RESOURCE_ENERGY] || 0;
+    if (boost.compound && storage && storage.store[RESOURCE_ENERGY] > 0 && labEnergy < LAB_ENERGY_CAPACITY / 2) {
+        return { action: 'fill', lab: lab, resource: RESOURCE_ENERGY, from: storage, amount: LAB_ENERGY_CAPACITY - labEnergy };
+    }
+    return null;
+}
+
+// Factory runs: one hauler at a time feeds the factory storage energy while it compresses, and
+// hauls the released energy out during an emergency (the regular delivery takes it from there).
+// Returns true when the hauler spent this tick on the factory.
+function runFactoryHaul(creep) {
+    const room = creep.room;
+    const claimant = room.memory.factoryHauler;
+    if (claimant && claimant !== creep.name && Game.creeps[claimant]) return false;
+    
+    const task = getFactoryTask(room);
+    
+    // Deliver the energy we picked up for the factory
+    if (claimant === creep.name && task && task.action === 'fill' && creep.store[RESOURCE_ENERGY] > 0) {
+        if (creep.transfer(task.factory, RESOURCE_ENERGY) === ERR_NOT_IN_RANGE) {
+            creep.moveTo(task.factory, { visualizePathStyle: { stroke: '#ffaa00' } });
+        }
+        return true;
+    }
+    
+    // Anything else we carry (including energy taken out of the factory) goes the regular way
+    if (!task || creep.store.getUsedCapacity() > 0) {
+        if (claimant === creep.name) delete room.memory.factoryHauler;
+        return false;
+    }
+    
+    room.memory.factoryHauler = creep.name;
+    const amount = Math.min(task.amount, creep.store.getFreeCapacity());
+    if (creep.withdraw(task.from, RESOURCE_ENERGY, amount) === ERR_NOT_IN_RANGE) {
+        creep.moveTo(task.from, { visualizePathStyle: { stroke: '#ffaa00' } });
+    }
+    return true;
+}
+
+// Helper function: Next energy haul for the factory (null when there's nothing to move):
+//   { action: 'fill', factory, from: storage, amount }  - compressing: top up to FACTORY_ENERGY_STOCK from the storage surplus
+//   { action: 'empty', factory, from: factory, amount } - decompressing: take out whatever energy the factory holds
+// Outside those modes leftover energy stays in the factory for the next compression run.
+function getFactoryTask(room) {
+    const factory = getFactory(room);
+    const storage = room.storage;
+    if (!factory || !storage) return null;
+    
+    const mode = getFactoryState(room).mode;
+    const factoryEnergy = factory.store[RESOURCE_ENERGY] || 0;
+    if (mode === 'compress') {
+        const surplus = storage.store[RESOURCE_ENERGY] - getConfig('FACTORY_COMPRESS_THRESHOLD', room);
+        const amount = Math.min(surplus, getConfig('FACTORY_ENERGY_STOCK', room) - factoryEnergy, factory.store.getFreeCapacity());
+        // Wait until at least one battery's worth is missing
+        if (amount < COMMODITIES[RESOURCE_BATTERY].components[RESOURCE_ENERGY]) return null;
+        return { action: 'fill', factory: factory, from: storage, amount: amount };
+    }
+    if (mode === 'decompress' && factoryEnergy > 0) {
+        return { action: 'empty', factory: factory, from: factory, amount: factoryEnergy };
+    }
+    return null;
+}
+
+// Mineral runs: one hauler at a time empties the mineral container into terminal/storage.
+// Returns true when the hauler spent this tick on minerals.
+function runMineralHaul(creep) {
+    const room = creep.room;
+    
+    // Deliver any minerals we're carrying first
+    const carried = Object.keys(creep.store).filter(resource => resource !== RESOURCE_ENERGY && creep.store[resource] > 0);
+    if (carried.length > 0) {
+        const target = getMineralDeliveryTarget(room);
+        if (!target) {
+            // Nowhere to put it - drop it rather than block energy hauling
+            creep.drop(carried[0]);
+            return true;
+        }
+        if (creep.transfer(target, carried[0]) === ERR_NOT_IN_RANGE) {
+            creep.moveTo(target, { visualizePathStyle: { stroke: '#aa66ff' } });
+        }
+        return true;
+    }
+    
+    if (creep.store.getUsedCapacity() > 0) return false;
+    
+    // Only one hauler claims the mineral container at a time
+    const claimant = room.memory.mineralHauler;
+    if (claimant && claimant !== creep.name && Game.creeps[claimant]) return false;
+    
+    const setup = getMineralSetup(room);
+    const container = setup && setup.container;
+    const resource = container && Object.keys(container.store).find(r => r !== RESOURCE_ENERGY && container.store[r] > 0);
+    
+    // Wait for a worthwhile load, unless the mineral is depleted and this is the last of it
+    const worthHauling = resource && (container.store[resource] >= getConfig('MINERAL_HAUL_MIN_AMOUNT', room) || setup.mineral.mineralAmount === 0);
+    if (!worthHauling || !getMineralDeliveryTarget(room)) {
+        if (claimant === creep.name) delete room.memory.mineralHauler;
+        return false;
+    }
+    
+    room.memory.mineralHauler = creep.name;
+    if (creep.withdraw(container, resource) === ERR_NOT_IN_RANGE) {
+        creep.moveTo(container, { visualizePathStyle: { stroke: '#aa66ff' } });
+    }
+    return true;
+}
+
+// Helper function: Terminal first (that's where minerals get sold), storage as overflow
+function getMineralDeliveryTarget(room) {
+    const targets = room.find(FIND_STRUCTURES, {
+        filter: s => (s.structureType === STRUCTURE_TERMINAL || s.structureType === STRUCTURE_STORAGE) &&
+                     s.store.getFreeCapacity() > 0
+    });
+    return _.find(targets, s => s.structureType === STRUCTURE_TERMINAL) || targets[0] || null;
+}
+
 // Helper function: Calculate total energy available at each source (container + ground)
 function getTotalSourceEnergy(room, source) {
     let totalEnergy = 0;
@@ -2689,7 +5387,294 @@ function getDistributedEnergyContainer(creep, targets) {
     return null;
 }
 
+// Upgrade feed for the controller: its container and links, the upgrade rate the upgraders can
+// reach (their WORK, capped at RCL8) and the hauler quota that keeps the container stocked.
+// A controller link fed by source or hub links needs no haulers. Cached per tick.
+function getUpgradeFeed(room) {
+    if (room._upgradeFeed && room._upgradeFeed.time === Game.time) return room._upgradeFeed.feed;
+    
+    const controller = room.controller;
+    const container = room.find(FIND_STRUCTURES, {
+        filter: s => s.structureType === STRUCTURE_CONTAINER && s.pos.getRangeTo(controller) <= 3
+    })[0] || null;
+    const network = getLinkNetwork(room);
+    const link = network && network.controller ? network.controller : null;
+    const links = network ? network.controllers : [];
+    const linkFed = link !== null && (network.source.length > 0 || network.hub !== null);
+    
+    const upgraders = _.filter(Game.creeps, c => c.memory.role === 'upgrader' && c.room.name === room.name);
+    let targetRate = _.sum(upgraders, c => c.getActiveBodyparts(WORK)) * UPGRADE_CONTROLLER_POWER;
+    if (controller.level === 8) {
+        targetRate = Math.min(targetRate, CONTROLLER_MAX_UPGRADE_PER_TICK);
+    }
+    
+    // Haulers carry at most the room's income - upgraders beyond that wait on a full storage
+    let haulersNeeded = 0;
+    if (container && !linkFed) {
+        const income = _.sum(room.find(FIND_SOURCES), source => source.energyCapacity / ENERGY_REGEN_TIME);
+        const metrics = getCachedDistanceMetrics(room);
+        const carryPerHauler = metrics ? metrics.carryPerHauler : 1;
+        const roundTripTime = getRoundTripTime(getUpgradeFeedDistance(room, container));
+        haulersNeeded = Math.max(1, Math.ceil(getCarryInTransit(Math.min(targetRate, income), roundTripTime) / carryPerHauler));
+    }
+    
+    const feed = { container: container, link: link, links: links, linkFed: linkFed, targetRate: targetRate, haulersNeeded: haulersNeeded };
+    room._upgradeFeed = { time: Game.time, feed: feed };
+    return feed;
+}
+
+// Helper function: Upgrade feed memory - {spent, windowStart, rate, feeders, distance, distanceKey}
+function getUpgradeFeedState(room) {
+    if (!room.memory.upgradeFeed) {
+        room.memory.upgradeFeed = { spent: 0, windowStart: Game.time, rate: 0, feeders: [] };
+    }
+    return room.memory.upgradeFeed;
+}
+
+// Helper function: Path length from storage (or the spawn) to the controller container, cached until either changes
+function getUpgradeFeedDistance(room, container) {
+    const state = getUpgradeFeedState(room);
+    const from = room.storage || room.find(FIND_MY_SPAWNS)[0];
+    if (!from) return 0;
+    
+    const key = `${from.id}:${container.id}`;
+    if (state.distanceKey !== key) {
+        const costMatrix = createRoadPlanningCostMatrix(room);
+        state.distance = PathFinder.search(from.pos, { pos: container.pos, range: 1 }, {
+            roomCallback: () => costMatrix,
+            maxRooms: 1
+        }).path.length;
+        state.distanceKey = key;
+    }
+    return state.distance;
+}
+
+// Upgrade feed upkeep: flag the hauler quota as feeders (always leaving one hauler for the spawn)
+// and turn the energy upgraders spent into a per-tick rate every UPGRADE_FEED_WINDOW ticks
+function manageUpgradeFeed(room, creeps) {
+    const state = getUpgradeFeedState(room);
+    if (Game.time - state.windowStart >= getConfig('UPGRADE_FEED_WINDOW', room)) {
+        state.rate = state.spent / (Game.time - state.windowStart);
+        state.spent = 0;
+        state.windowStart = Game.time;
+    }
+    
+    const haulerNames = creeps.hauler.map(c => c.name);
+    const quota = Math.min(getUpgradeFeed(room).haulersNeeded, haulerNames.length - 1);
+    state.feeders = state.feeders.filter(name => haulerNames.includes(name)).slice(0, Math.max(0, quota));
+    for (const name of haulerNames) {
+        if (state.feeders.length >= quota) break;
+        if (!state.feeders.includes(name)) {
+            state.feeders.push(name);
+        }
+    }
+}
+
+// Helper function: Count the energy an upgradeController call spends toward the upgrade rate
+function recordUpgradeEnergy(creep) {
+    const state = getUpgradeFeedState(creep.room);
+    state.spent += Math.min(creep.getActiveBodyparts(WORK) * UPGRADE_CONTROLLER_POWER, creep.store[RESOURCE_ENERGY]);
+}
+
+// Helper function: The controller container when this hauler is an upgrade feeder and it's below UPGRADE_FEED_TARGET
+function getUpgradeFeedTarget(creep) {
+    const state = creep.room.memory.upgradeFeed;
+    if (!state || !state.feeders.includes(creep.name)) return null;
+    
+    const container = getUpgradeFeed(creep.room).container;
+    if (!container || container.store[RESOURCE_ENERGY] >= getConfig('UPGRADE_FEED_TARGET', creep.room)) return null;
+    return container;
+}
+
+// Upgrade feeders load up at storage when there is one (without storage they pick up at the
+// sources like any hauler). Returns true when the hauler spent this tick on it.
+function runUpgradeFeedPickup(creep) {
+    const storage = creep.room.storage;
+    if (!storage || storage.store[RESOURCE_ENERGY] === 0 || !getUpgradeFeedTarget(creep)) return false;
+    
+    if (creep.withdraw(storage, RESOURCE_ENERGY) === ERR_NOT_IN_RANGE) {
+        creep.moveTo(storage, { visualizePathStyle: { stroke: '#ffaa00' } });
+    }
+    return true;
+}
+
+// Upgraders with a fed controller link, or a controller container with feeder haulers assigned, park
+// within range 3 of the controller next to it and never walk back to base: they upgrade and refill in
+// the same tick and wait when the feed is empty. Returns false when nothing feeds them or there's no
+// free parking spot, so the upgrader fetches energy itself.
+function runFedUpgrader(creep) {
+    const controller = creep.room.controller;
+    const feed = getUpgradeFeed(creep.room);
+    // Only park where energy arrives: a fed controller link, or the container while feeders are assigned
+    const feeders = getUpgradeFeedState(creep.room).feeders;
+    const feeds = (feed.linkFed ? feed.links : []).concat(feeders.length > 0 ? [feed.container] : []).filter(s => s);
+    if (feeds.length === 0) {
+        delete creep.memory.park;
+        return false;
+    }
+    
+    const spot = getUpgraderParkingSpot(creep, controller, feeds);
+    if (!spot) return false;
+    
+    if (!creep.pos.isEqualTo(spot.x, spot.y)) {
+        creep.moveTo(spot.x, spot.y, { visualizePathStyle: { stroke: '#ffffff' } });
+    }
+    
+    if (creep.store[RESOURCE_ENERGY] > 0 && creep.pos.inRangeTo(controller, 3) && creep.upgradeController(controller) === OK) {
+        recordUpgradeEnergy(creep);
+    }
+    
+    // Refill before running dry so upgrading doesn't pause
+    if (creep.store[RESOURCE_ENERGY] <= creep.getActiveBodyparts(WORK) * UPGRADE_CONTROLLER_POWER) {
+        const source = _.find(feeds, s => creep.pos.isNearTo(s) && s.store[RESOURCE_ENERGY] > 0);
+        if (source) {
+            creep.withdraw(source, RESOURCE_ENERGY);
+        } else if (creep.pos.isEqualTo(spot.x, spot.y) && creep.store[RESOURCE_ENERGY] === 0) {
+            creep.say('⏳');
+        }
+    }
+    return true;
+}
+
+// Helper function: The upgrader's parking tile (kept in creep.memory.park) - within range 3 of the
+// controller, next to a feed structure, walkable and not claimed by another upgrader. The container
+// tile next to it closest to storage stays free so feeder haulers can always reach it.
+function getUpgraderParkingSpot(creep, controller, feeds) {
+    const room = creep.room;
+    const claimed = _.filter(Game.creeps, c => c.memory.role === 'upgrader' && c.room.name === room.name && c.name !== creep.name && c.memory.park)
+        .map(c => `${c.memory.park.x},${c.memory.park.y}`);
+    const terrain = room.getTerrain();
+    const isWalkable = (x, y) => x > 0 && x < 49 && y > 0 && y < 49 && terrain.get(x, y) !== TERRAIN_MASK_WALL &&
+        room.lookForAt(LOOK_STRUCTURES, x, y).every(s =>
+            s.structureType === STRUCTURE_ROAD || s.structureType === STRUCTURE_CONTAINER || s.structureType === STRUCTURE_RAMPART);
+    
+    const container = _.find(feeds, s => s.structureType === STRUCTURE_CONTAINER);
+    let lane = null;
+    if (container) {
+        const base = room.storage || room.find(FIND_MY_SPAWNS)[0];
+        const neighbours = [];
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const x = container.pos.x + dx;
+                const y = container.pos.y + dy;
+                if ((dx !== 0 || dy !== 0) && isWalkable(x, y)) neighbours.push({ x, y });
+            }
+        }
+        if (base && neighbours.length > 0) {
+            const closest = _.min(neighbours, pos => base.pos.getRangeTo(pos.x, pos.y));
+            lane = `${closest.x},${closest.y}`;
+        }
+    }
+    
+    const isUsable = (pos) => controller.pos.getRangeTo(pos.x, pos.y) <= 3 && feeds.some(s => s.pos.getRangeTo(pos.x, pos.y) <= 1) &&
+        !claimed.includes(`${pos.x},${pos.y}`) && `${pos.x},${pos.y}` !== lane && isWalkable(pos.x, pos.y);
+    
+    if (creep.memory.park && isUsable(creep.memory.park)) {
+        return creep.memory.park;
+    }
+    
+    const spots = [];
+    feeds.forEach(feed => {
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const pos = { x: feed.pos.x + dx, y: feed.pos.y + dy };
+                if (isUsable(pos)) spots.push(pos);
+            }
+        }
+    });
+    
+    if (spots.length === 0) {
+        delete creep.memory.park;
+        return null;
+    }
+    creep.memory.park = _.min(spots, pos => creep.pos.getRangeTo(pos.x, pos.y));
+    return creep.memory.park;
+}
+
+// Boost lab for upgraders: the lab closest to the spawn, so new upgraders pass it on their way out.
+// Its compound is the one already loaded, or else the best one in stock. Null without labs. Cached per tick.
+function getUpgradeBoost(room) {
+    if (room._upgradeBoost && room._upgradeBoost.time === Game.time) return room._upgradeBoost.boost;
+    
+    const spawn = room.find(FIND_MY_SPAWNS)[0];
+    const labs = room.find(FIND_MY_STRUCTURES, { filter: s => s.structureType === STRUCTURE_LAB });
+    let boost = null;
+    if (spawn && labs.length > 0) {
+        const lab = _.min(labs, l => l.pos.getRangeTo(spawn));
+        const loaded = UPGRADE_BOOSTS.includes(lab.mineralType) && lab.store[lab.mineralType] > 0 ? lab.mineralType : null;
+        const compound = loaded || _.find(UPGRADE_BOOSTS, c => getBoostStock(room, lab, c) >= LAB_BOOST_MINERAL) || null;
+        boost = { lab: lab, compound: compound };
+    }
+    
+    room._upgradeBoost = { time: Game.time, boost: boost };
+    return boost;
+}
+
+// Helper function: A compound's stock in the terminal plus the boost lab
+function getBoostStock(room, lab, compound) {
+    const terminal = room.terminal;
+    return (terminal ? terminal.store[compound] || 0 : 0) + (lab.mineralType === compound ? lab.store[compound] || 0 : 0);
+}
+
+// Helper function: Whether the boost lab can boost at least one WORK part right now
+function isBoostLabReady(boost) {
+    return boost.compound !== null && boost.lab.mineralType === boost.compound &&
+        boost.lab.store[boost.compound] >= LAB_BOOST_MINERAL && boost.lab.store[RESOURCE_ENERGY] >= LAB_BOOST_ENERGY;
+}
+
+// Helper function: Boost memory - {boosted (upgraders boosted so far), lastPurchase}
+function getBoostState(room) {
+    if (!room.memory.boosts) {
+        room.memory.boosts = { boosted: 0 };
+    }
+    return room.memory.boosts;
+}
+
+// New upgraders spawned with memory.boost walk to the boost lab first. They give up and upgrade
+// unboosted when the lab no longer holds the compound or the walk takes over BOOST_WAIT_TICKS.
+// Returns true while the upgrader is busy getting boosted.
+function runUpgraderBoost(creep) {
+    if (creep.spawning) return true;
+    
+    const room = creep.room;
+    const compound = creep.memory.boost;
+    const boost = getUpgradeBoost(room);
+    const giveUp = (reason) => {
+        console.log(`⚗️ ${creep.name}: ${reason}, upgrading unboosted`);
+        delete creep.memory.boost;
+        return false;
+    };
+    
+    if (!boost || boost.compound !== compound || !isBoostLabReady(boost)) {
+        return giveUp(`boost lab is out of ${compound}`);
+    }
+    if (!creep.pos.isNearTo(boost.lab)) {
+        if (Game.time - (creep.memory.boostSince || (creep.memory.boostSince = Game.time)) > getConfig('BOOST_WAIT_TICKS', room)) {
+            return giveUp(`couldn't reach the boost lab`);
+        }
+        creep.moveTo(boost.lab, { visualizePathStyle: { stroke: '#aa66ff' } });
+        return true;
+    }
+    
+    const result = boost.lab.boostCreep(creep);
+    if (result !== OK) {
+        return giveUp(`boost failed (${result})`);
+    }
+    const state = getBoostState(room);
+    state.boosted++;
+    console.log(`⚗️ ${creep.name} boosted with ${compound}`);
+    delete creep.memory.boost;
+    delete creep.memory.boostSince;
+    return true;
+}
+
 function runUpgrader(creep) {
+    // Pick up the boost on the way out of the spawn
+    if (creep.memory.boost && runUpgraderBoost(creep)) return;
+    
+    // Fed upgraders stay parked at the controller
+    if (runFedUpgrader(creep)) return;
+    
     // Always prioritize upgrading the controller
     if (creep.store[RESOURCE_ENERGY] > 0) {
         const controller = creep.room.controller;
@@ -2698,7 +5683,9 @@ function runUpgrader(creep) {
             return;
         }
         const upgradeResult = creep.upgradeController(controller);
-        if (upgradeResult === ERR_NOT_IN_RANGE) {
+        if (upgradeResult === OK) {
+            recordUpgradeEnergy(creep);
+        } else if (upgradeResult === ERR_NOT_IN_RANGE) {
             creep.moveTo(controller.pos, { visualizePathStyle: { stroke: '#ffffff' } });
         }
     } else {
@@ -2765,8 +5752,8 @@ function runUpgrader(creep) {
 
 function manageDefenseHitPoints(room) {
     const rcl = room.controller.level;
-    const wallTargetHits = WALL_TARGET_HITS[rcl] || WALL_TARGET_HITS[1];
-    const rampartTargetHits = RAMPART_TARGET_HITS[rcl] || RAMPART_TARGET_HITS[1];
+    const wallTargetHits = getConfig('WALL_TARGET_HITS', room)[rcl] || WALL_TARGET_HITS[1];
+    const rampartTargetHits = getConfig('RAMPART_TARGET_HITS', room)[rcl] || RAMPART_TARGET_HITS[1];
     
     const walls = room.find(FIND_STRUCTURES, {
         filter: (structure) => structure.structureType === STRUCTURE_WALL
@@ -2814,6 +5801,14 @@ function manageDefenseHitPoints(room) {
             console.log(`🛡️ Ramparts (RCL ${rcl}, target: ${rampartTargetHits.toLocaleString()}): ${rampartsAtTarget} at target, ${rampartsBelowTarget} need repair (${rampartsCritical} critical)`);
         }
     }
+    
+    // Min-cut perimeter: the line only holds once every one of its ramparts stands
+    const perimeter = room.memory.planStamps && room.memory.planStamps.perimeter;
+    if (Game.time % 50 === 0 && perimeter && perimeter.structures.length > 0) {
+        const standing = ramparts.filter(rampart => perimeter.structures.some(entry => entry.x === rampart.pos.x && entry.y === rampart.pos.y));
+        const belowTarget = standing.filter(rampart => rampart.hits < rampartTargetHits).length;
+        console.log(`🛡️ Perimeter: ${standing.length}/${perimeter.structures.length} ramparts standing, ${belowTarget} below target`);
+    }
 }
 
 function cleanupSharedConstructionTarget(room) {
@@ -2827,6 +5822,8 @@ function cleanupSharedConstructionTarget(room) {
 }
 
 function getSharedConstructionTarget(room) {
+    if (room.memory.buildingPaused) return null; // Builders fall back to repairs and upgrading
+    
     // Check if current shared target still exists and is valid
     if (room.memory.sharedConstructionTarget) {
         const target = Game.getObjectById(room.memory.sharedConstructionTarget);
@@ -2844,43 +5841,18 @@ function getSharedConstructionTarget(room) {
         return null; // No construction sites available
     }
     
-    // Check if we should build roads yet (same logic as createMissingConstructionSites)
-    const existingExtensions = room.find(FIND_STRUCTURES, {
-        filter: s => s.structureType === STRUCTURE_EXTENSION
-    }).length;
-    const existingContainers = room.find(FIND_STRUCTURES, {
-        filter: s => s.structureType === STRUCTURE_CONTAINER
-    }).length;
-    const shouldBuildRoads = existingExtensions >= 5 && existingContainers >= 1;
-    
-    // Filter out roads if we shouldn't build them yet
-    const filteredConstructionSites = shouldBuildRoads ? 
-        constructionSites : 
-        constructionSites.filter(site => site.structureType !== STRUCTURE_ROAD);
+    // Leave sites alone whose build order dependencies aren't built yet (same rules as createMissingConstructionSites)
+    const buildOrder = getBuildOrder(room);
+    const filteredConstructionSites = constructionSites.filter(site => !buildOrder.blocked[site.structureType]);
     
     if (filteredConstructionSites.length === 0) {
-        if (!shouldBuildRoads) {
-            console.log(`🛣️ No non-road construction sites available. Need ${5 - existingExtensions} more extensions and ${1 - existingContainers} more containers before building roads.`);
-        }
+        console.log(`⏳ Only held-back construction sites left (${buildOrder.phase} phase) - waiting for ${_.uniq(_.values(buildOrder.blocked)).join(', ')}`);
         return null;
     }
     
-    // Prioritize construction sites by importance - extensions first!
-    const priorityOrder = [
-        STRUCTURE_EXTENSION,
-        STRUCTURE_SPAWN,
-        STRUCTURE_STORAGE,
-        STRUCTURE_TOWER,
-        STRUCTURE_CONTAINER,
-        STRUCTURE_WALL,
-        STRUCTURE_ROAD,
-        STRUCTURE_LINK,
-        STRUCTURE_TERMINAL
-    ];
-    
     // Find highest priority construction site
     let selectedTarget = null;
-    for (const structureType of priorityOrder) {
+    for (const structureType of buildOrder.order) {
         const sitesOfType = filteredConstructionSites.filter(site => site.structureType === structureType);
         if (sitesOfType.length > 0) {
             const spawn = room.find(FIND_MY_SPAWNS)[0];
@@ -2894,19 +5866,18 @@ function getSharedConstructionTarget(room) {
                 });
                 selectedTarget = sitesOfType[0];
                 console.log(`🏗️ Prioritizing extension at (${selectedTarget.pos.x},${selectedTarget.pos.y}) - distance ${spawn.pos.getRangeTo(selectedTarget.pos)} from spawn`);
-            } else if (structureType === STRUCTURE_ROAD && shouldBuildRoads) {
-                // Only select roads if we should be building them
+            } else if (structureType === STRUCTURE_ROAD) {
                 selectedTarget = spawn ? spawn.pos.findClosestByPath(sitesOfType) : sitesOfType[0];
                 console.log(`🛣️ Now building roads - selected road at (${selectedTarget.pos.x},${selectedTarget.pos.y})`);
-            } else if (structureType !== STRUCTURE_ROAD) {
-                // For other non-road structures, pick the one closest to spawn by path
+            } else {
+                // For other structures, pick the one closest to spawn by path
                 selectedTarget = spawn ? spawn.pos.findClosestByPath(sitesOfType) : sitesOfType[0];
             }
             break;
         }
     }
     
-    // If no prioritized target found, take any construction site (excluding roads if we shouldn't build them)
+    // If no prioritized target found, take any construction site (excluding held-back ones)
     if (!selectedTarget) {
         const spawn = room.find(FIND_MY_SPAWNS)[0];
         selectedTarget = spawn ? spawn.pos.findClosestByPath(filteredConstructionSites) : filteredConstructionSites[0];
@@ -2927,8 +5898,8 @@ function getSharedConstructionTarget(room) {
 
 function getDefensesNeedingRepair(room) {
     const rcl = room.controller.level;
-    const wallTargetHits = WALL_TARGET_HITS[rcl] || WALL_TARGET_HITS[1];
-    const rampartTargetHits = RAMPART_TARGET_HITS[rcl] || RAMPART_TARGET_HITS[1];
+    const wallTargetHits = getConfig('WALL_TARGET_HITS', room)[rcl] || WALL_TARGET_HITS[1];
+    const rampartTargetHits = getConfig('RAMPART_TARGET_HITS', room)[rcl] || RAMPART_TARGET_HITS[1];
     
     // Find walls and ramparts needing repair
     const defenses = room.find(FIND_STRUCTURES, {
@@ -2960,7 +5931,7 @@ function getStructuresNeedingRepair(room) {
     // - Ramparts: compare against absolute RAMPART_TARGET_HITS threshold
     // - Other structures: use the 80% of hitsMax heuristic as before
     const rcl = room.controller.level;
-    const rampartTargetHits = RAMPART_TARGET_HITS[rcl] || RAMPART_TARGET_HITS[1];
+    const rampartTargetHits = getConfig('RAMPART_TARGET_HITS', room)[rcl] || RAMPART_TARGET_HITS[1];
 
     const damagedStructures = room.find(FIND_STRUCTURES, {
         filter: (structure) => {
@@ -3054,8 +6025,10 @@ function runBuilder(creep) {
         // If no assigned target, find a new one - prioritize container repairs, then defense repairs
         if (!target) {
             // First priority: Nearby containers that are decaying (source/container near controller/storage)
+            const repairThreshold = getConfig('CONTAINER_REPAIR_THRESHOLD', creep.room);
+            const repairPercent = getConfig('CONTAINER_REPAIR_PERCENT', creep.room);
             const containers = creep.room.find(FIND_STRUCTURES, {
-                filter: s => s.structureType === STRUCTURE_CONTAINER && s.hits < Math.max(CONTAINER_REPAIR_THRESHOLD, s.hitsMax * CONTAINER_REPAIR_PERCENT)
+                filter: s => s.structureType === STRUCTURE_CONTAINER && s.hits < Math.max(repairThreshold, s.hitsMax * repairPercent)
             });
             if (containers.length > 0) {
                 // Prefer containers near sources, controller, or storage
@@ -3142,13 +6115,13 @@ function runBuilder(creep) {
                 if (isRepairTask) {
                     const rcl = creep.room.controller.level;
                     if (target.structureType === STRUCTURE_WALL) {
-                        const targetHits = WALL_TARGET_HITS[rcl] || WALL_TARGET_HITS[1];
+                        const targetHits = getConfig('WALL_TARGET_HITS', creep.room)[rcl] || WALL_TARGET_HITS[1];
                         if (target.hits >= targetHits) {
                             delete creep.memory.buildTarget;
                             delete creep.memory.isRepairTask;
                         }
                     } else if (target.structureType === STRUCTURE_RAMPART) {
-                        const rampartHits = RAMPART_TARGET_HITS[rcl] || RAMPART_TARGET_HITS[1];
+                        const rampartHits = getConfig('RAMPART_TARGET_HITS', creep.room)[rcl] || RAMPART_TARGET_HITS[1];
                         if (target.hits >= rampartHits) {
                             delete creep.memory.buildTarget;
                             delete creep.memory.isRepairTask;
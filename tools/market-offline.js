@@ -0,0 +1,185 @@
+/**
+ * Offline Market Check
+ *
+ * Runs the terminal market manager from main.js (runTerminal, findBestSale, recordTrade)
+ * against a stubbed Game.market, outside a Screeps server. The stub serves a fixed order
+ * book and prices transactions with the server's formula, so the expected sales are known:
+ *   - the buy order with the best net price (after the transaction-cost energy) wins
+ *   - orders whose net price is under MARKET_PRICE_FLOORS are never sold to
+ *   - one deal per runTerminal call, capped at MARKET_MAX_DEAL_AMOUNT and the surplus over TERMINAL_RESERVES
+ *   - every sale lands in room.memory.marketLog, trimmed to MARKET_LOG_LENGTH entries
+ *
+ * Usage (lodash 3 on the module path, see tools/plan-offline.js):
+ *   node tools/market-offline.js [room.json] [--verbose]
+ *
+ * The room dump only provides a room to put the terminal in (default: tools/rooms/W1N1.json).
+ * Exit code 1 when any check fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { loadPlanner, addStructure } = require('./plan-offline');
+
+const DEFAULT_DUMP = path.join(__dirname, 'rooms', 'W1N1.json');
+
+// Order book: distances (in rooms) to each buyer set the transaction cost
+const ORDERS = [
+    { id: 'energyFar', type: 'buy', resourceType: 'energy', price: 1.0, remainingAmount: 20000, roomName: 'W50N50', distance: 50 },
+    { id: 'energyNear', type: 'buy', resourceType: 'energy', price: 0.8, remainingAmount: 20000, roomName: 'W5N5', distance: 5 },
+    { id: 'energyCheap', type: 'buy', resourceType: 'energy', price: 0.55, remainingAmount: 20000, roomName: 'W6N6', distance: 5 },
+    { id: 'hydrogenFar', type: 'buy', resourceType: 'H', price: 0.12, remainingAmount: 5000, roomName: 'W40N40', distance: 40 },
+    { id: 'hydrogenNear', type: 'buy', resourceType: 'H', price: 0.6, remainingAmount: 1000, roomName: 'W10N10', distance: 10 },
+    { id: 'noRoom', type: 'buy', resourceType: 'H', price: 5, remainingAmount: 1000 } // NPC-style order without a room: skipped
+];
+
+// Game.market stand-in over an order book; deal() moves the terminal's stock like the server
+function createMarketStub(sandbox, room, terminal, orders) {
+    const distances = {};
+    orders.forEach(order => { if (order.roomName) distances[order.roomName] = order.distance; });
+    const market = {
+        credits: 0,
+        deals: [],
+        calcTransactionCost(amount, roomName1, roomName2) {
+            const distance = distances[roomName2] !== undefined ? distances[roomName2] : 10;
+            return Math.ceil(amount * (1 - Math.exp(-distance / 30)));
+        },
+        getAllOrders(filter) {
+            return orders.filter(order => (!filter.type || order.type === filter.type) &&
+                (!filter.resourceType || order.resourceType === filter.resourceType));
+        },
+        deal(orderId, amount, roomName) {
+            const order = orders.find(o => o.id === orderId);
+            if (!order || roomName !== room.name || amount > order.remainingAmount) return sandbox.ERR_INVALID_ARGS;
+            const fee = market.calcTransactionCost(amount, roomName, order.roomName);
+            const energyNeeded = fee + (order.resourceType === 'energy' ? amount : 0);
+            if ((terminal.store.energy || 0) < energyNeeded || (terminal.store[order.resourceType] || 0) < amount) {
+                return sandbox.ERR_NOT_ENOUGH_RESOURCES;
+            }
+            terminal.store[order.resourceType] -= amount;
+            terminal.store.energy -= fee;
+            order.remainingAmount -= amount;
+            market.credits += amount * order.price;
+            terminal.cooldown = 10;
+            market.deals.push({ orderId: orderId, amount: amount, fee: fee });
+            return sandbox.OK;
+        }
+    };
+    return market;
+}
+
+// Load main.js with a terminal and the stubbed market in the dump's room
+function loadMarket(dump, log, orders) {
+    const { sandbox, room } = loadPlanner(dump, log);
+    const spawn = room.find(sandbox.FIND_MY_SPAWNS)[0];
+    const terminal = addStructure(sandbox, room, 'terminal', spawn.pos.x + 2, spawn.pos.y, { store: {}, cooldown: 0 });
+    room._structureCache = { terminal: terminal };
+    sandbox.Game.market = createMarketStub(sandbox, room, terminal, orders.map(order => Object.assign({}, order)));
+    return { sandbox, room, terminal };
+}
+
+// The checks; each returns a list of failure messages
+const CHECKS = {
+    'best net price wins, capped at MARKET_MAX_DEAL_AMOUNT': (dump, log) => {
+        const { sandbox, room, terminal } = loadMarket(dump, log, ORDERS);
+        terminal.store = { energy: 30000 };
+        const sale = sandbox.findBestSale(room, terminal, 'energy');
+        const failures = [];
+        // energyFar nets 1.0 / 1.812 = 0.552, energyNear 0.8 / 1.154 = 0.693, energyCheap 0.477 (under the floor)
+        if (!sale || sale.order.id !== 'energyNear') failures.push(`expected energyNear, got ${sale && sale.order.id}`);
+        if (sale && sale.amount !== 5000) failures.push(`expected 5000 energy (deal cap), got ${sale.amount}`);
+        if (sale && Math.abs(sale.netPrice - 0.8 / 1.154) > 1e-9) failures.push(`unexpected net price ${sale.netPrice}`);
+        return failures;
+    },
+    'mineral sales pay the fee in energy and respect the reserve': (dump, log) => {
+        const { sandbox, room, terminal } = loadMarket(dump, log, ORDERS);
+        terminal.store = { energy: 20000, H: 5600 };
+        const sale = sandbox.findBestSale(room, terminal, 'H');
+        const failures = [];
+        // hydrogenFar nets 0.12 - 0.737 * 0.5 < 0; hydrogenNear 0.6 - 0.284 * 0.5 = 0.458
+        if (!sale || sale.order.id !== 'hydrogenNear') failures.push(`expected hydrogenNear, got ${sale && sale.order.id}`);
+        if (sale && sale.amount !== 600) failures.push(`expected 600 H (surplus over the 5000 reserve), got ${sale.amount}`);
+        return failures;
+    },
+    'nothing is sold under the price floor': (dump, log) => {
+        const { sandbox, room, terminal } = loadMarket(dump, log, ORDERS.filter(order => order.id === 'energyCheap' || order.id === 'hydrogenFar'));
+        terminal.store = { energy: 40000, H: 9000 };
+        sandbox.runTerminal(room);
+        const failures = [];
+        if (sandbox.Game.market.deals.length > 0) failures.push(`expected no deal, got ${JSON.stringify(sandbox.Game.market.deals)}`);
+        if (room.memory.marketLog) failures.push('expected an empty trade log');
+        return failures;
+    },
+    'no sale without a surplus over TERMINAL_RESERVES': (dump, log) => {
+        const { sandbox, room, terminal } = loadMarket(dump, log, ORDERS);
+        terminal.store = { energy: 20000, H: 5000 };
+        sandbox.runTerminal(room);
+        return sandbox.Game.market.deals.length > 0 ? [`expected no deal, got ${JSON.stringify(sandbox.Game.market.deals)}`] : [];
+    },
+    'runTerminal makes one deal and logs it': (dump, log) => {
+        const { sandbox, room, terminal } = loadMarket(dump, log, ORDERS);
+        terminal.store = { energy: 30000, H: 8000 };
+        sandbox.Game.time = 1234;
+        sandbox.runTerminal(room);
+        sandbox.runTerminal(room); // Terminal is on cooldown now
+        const failures = [];
+        const deals = sandbox.Game.market.deals;
+        if (deals.length !== 1 || deals[0].orderId !== 'energyNear' || deals[0].amount !== 5000) {
+            failures.push(`expected one 5000 energy deal with energyNear, got ${JSON.stringify(deals)}`);
+        }
+        const entry = (room.memory.marketLog || [])[0];
+        const expected = { time: 1234, resource: 'energy', amount: 5000, price: 0.8, fee: 770, orderId: 'energyNear', toRoom: 'W5N5' };
+        if (!entry || JSON.stringify(entry) !== JSON.stringify(expected)) {
+            failures.push(`expected log entry ${JSON.stringify(expected)}, got ${JSON.stringify(entry)}`);
+        }
+        return failures;
+    },
+    'trade log keeps the last MARKET_LOG_LENGTH entries': (dump, log) => {
+        const { sandbox, room, terminal } = loadMarket(dump, log, ORDERS);
+        const length = vm.runInContext('MARKET_LOG_LENGTH', sandbox); // Top-level consts aren't sandbox properties
+        room.memory.marketLog = Array.from({ length: length }, (v, i) => ({ time: i, resource: 'energy', amount: 1 }));
+        terminal.store = { energy: 30000 };
+        sandbox.runTerminal(room);
+        const marketLog = room.memory.marketLog;
+        const failures = [];
+        if (marketLog.length !== length) failures.push(`expected ${length} entries, got ${marketLog.length}`);
+        if (marketLog[0].time !== 1) failures.push('expected the oldest entry to be dropped');
+        if (marketLog[marketLog.length - 1].orderId !== 'energyNear') failures.push('expected the new sale last');
+        return failures;
+    }
+};
+
+// Command line entry point; returns the process exit code
+function main(argv) {
+    const verbose = argv.includes('--verbose');
+    const file = argv.find(arg => !arg.startsWith('--')) || DEFAULT_DUMP;
+    const dump = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!dump.name) dump.name = path.basename(file, '.json');
+
+    let failures = 0;
+    for (const name of Object.keys(CHECKS)) {
+        const logs = [];
+        let problems;
+        try {
+            problems = CHECKS[name](dump, line => logs.push(line));
+        } catch (e) {
+            problems = [verbose ? e.stack : e.message];
+        }
+        if (verbose) logs.forEach(line => console.log(`   ${line}`));
+        if (problems.length === 0) {
+            console.log(`✅ ${name}`);
+            continue;
+        }
+        failures++;
+        console.log(`❌ ${name}`);
+        problems.forEach(problem => console.log(`   ${problem}`));
+    }
+
+    return failures > 0 ? 1 : 0;
+}
+
+module.exports = { createMarketStub, loadMarket };
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,599 @@
+/**
+ * Offline Base Planner Harness
+ *
+ * Runs the base planner from main.js (planBase and every stamp it runs, including
+ * findOptimalAnchor, planMinimalEdgeSeal and planEntranceCurtains) against saved
+ * terrain dumps, outside a Screeps server. Planning is deterministic, so the resulting
+ * plannedStructures can be snapshotted and compared after planner changes.
+ *
+ * Usage:
+ *   node tools/plan-offline.js <room.json | directory>... [--snapshots <dir>] [--update] [--verbose]
+ *
+ *   --snapshots <dir>  Compare each plan with <dir>/<room>.json (exit code 1 on any difference)
+ *   --update           Write the snapshots instead of comparing them
+ *   --verbose          Print the planner's console output
+ *   --config <json>    Memory.config overrides for every room, e.g. '{"BASE_LAYOUT":"bunker"}'
+ *
+ * Room dump format (one room per .json file):
+ *   {
+ *     "name": "W1N1",
+ *     "terrain": "0000...",            // 2500 digits, row-major (index y * 50 + x): 0 plain, 1 wall, 2 swamp
+ *                                      // (a 50x50 array of rows or a flat array of 2500 numbers also works)
+ *     "sources": [{ "x": 10, "y": 12 }, { "x": 40, "y": 35 }],
+ *     "controller": { "x": 25, "y": 8 },
+ *     "mineral": { "x": 8, "y": 40, "mineralType": "H" },   // optional
+ *     "spawn": { "x": 24, "y": 24 },                        // optional, see loadPlanner
+ *     "config": { "BASE_LAYOUT": "bunker" }                 // optional Memory.config overrides
+ *   }
+ *
+ * The Screeps server provides lodash 3 as the global `_`; here it has to be on the module
+ * path. From the repository root:
+ *   npm install --no-save lodash@3.10.1
+ *   node tools/plan-offline.js tools/rooms --snapshots tools/snapshots
+ * tools/rooms holds the committed room dumps and tools/snapshots their expected plans.
+ *
+ * The stand-ins for Room.Terrain, PathFinder and RoomPosition only cover what planning
+ * needs. Paths come from a plain Dijkstra search, so roads can take a different (equally
+ * cheap) route than the server's PathFinder would.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const MAIN_PATH = path.join(__dirname, '..', 'main.js');
+
+// Screeps constants used by main.js
+const CONSTANTS = {
+    OK: 0, ERR_NOT_OWNER: -1, ERR_NO_PATH: -2, ERR_NAME_EXISTS: -3, ERR_BUSY: -4, ERR_NOT_FOUND: -5,
+    ERR_NOT_ENOUGH_ENERGY: -6, ERR_NOT_ENOUGH_RESOURCES: -6, ERR_INVALID_TARGET: -7, ERR_FULL: -8,
+    ERR_NOT_IN_RANGE: -9, ERR_INVALID_ARGS: -10, ERR_TIRED: -11, ERR_NO_BODYPART: -12,
+    ERR_RCL_NOT_ENOUGH: -14,
+    FIND_MY_CREEPS: 102, FIND_HOSTILE_CREEPS: 103, FIND_SOURCES: 105, FIND_DROPPED_RESOURCES: 106,
+    FIND_STRUCTURES: 107, FIND_MY_STRUCTURES: 108, FIND_CONSTRUCTION_SITES: 111, FIND_MY_SPAWNS: 112,
+    FIND_MINERALS: 116,
+    TOP: 1, RIGHT: 3, BOTTOM: 5, LEFT: 7,
+    LOOK_CREEPS: 'creep', LOOK_SOURCES: 'source', LOOK_MINERALS: 'mineral', LOOK_STRUCTURES: 'structure',
+    LOOK_CONSTRUCTION_SITES: 'constructionSite', LOOK_TERRAIN: 'terrain',
+    TERRAIN_MASK_WALL: 1, TERRAIN_MASK_SWAMP: 2,
+    MOVE: 'move', WORK: 'work', CARRY: 'carry', ATTACK: 'attack', RANGED_ATTACK: 'ranged_attack',
+    TOUGH: 'tough', HEAL: 'heal', CLAIM: 'claim',
+    BODYPART_COST: { move: 50, work: 100, attack: 80, carry: 50, heal: 250, ranged_attack: 150, tough: 10, claim: 600 },
+    MAX_CREEP_SIZE: 50, CREEP_LIFE_TIME: 1500, CREEP_SPAWN_TIME: 3, CARRY_CAPACITY: 50,
+    HARVEST_MINERAL_POWER: 1, ENERGY_REGEN_TIME: 300, LINK_CAPACITY: 800, CONTAINER_CAPACITY: 2000,
+    STORAGE_CAPACITY: 1000000, FACTORY_CAPACITY: 50000,
+    WALL_HITS_MAX: 300000000,
+    RAMPART_HITS_MAX: { 2: 300000, 3: 1000000, 4: 3000000, 5: 10000000, 6: 30000000, 7: 100000000, 8: 300000000 },
+    STRUCTURE_SPAWN: 'spawn', STRUCTURE_EXTENSION: 'extension', STRUCTURE_ROAD: 'road',
+    STRUCTURE_WALL: 'constructedWall', STRUCTURE_RAMPART: 'rampart', STRUCTURE_CONTROLLER: 'controller',
+    STRUCTURE_LINK: 'link', STRUCTURE_STORAGE: 'storage', STRUCTURE_TOWER: 'tower',
+    STRUCTURE_OBSERVER: 'observer', STRUCTURE_POWER_SPAWN: 'powerSpawn', STRUCTURE_EXTRACTOR: 'extractor',
+    STRUCTURE_LAB: 'lab', STRUCTURE_TERMINAL: 'terminal', STRUCTURE_CONTAINER: 'container',
+    STRUCTURE_NUKER: 'nuker', STRUCTURE_FACTORY: 'factory',
+    RESOURCE_ENERGY: 'energy', RESOURCE_CATALYZED_GHODIUM_ACID: 'XGH2O', RESOURCE_GHODIUM_ACID: 'GH2O',
+    RESOURCE_GHODIUM_HYDRIDE: 'GH',
+    ORDER_BUY: 'buy', ORDER_SELL: 'sell'
+};
+
+// Terrain dump → Uint8Array of terrain masks, indexed y * 50 + x like Room.Terrain's raw buffer
+function parseTerrain(terrain) {
+    let cells;
+    if (typeof terrain === 'string') {
+        cells = terrain.split('').map(Number);
+    } else if (Array.isArray(terrain) && terrain.length === 50) {
+        cells = [];
+        terrain.forEach(row => {
+            const values = typeof row === 'string' ? row.split('').map(Number) : row;
+            if (values.length !== 50) throw new Error('Terrain rows must have 50 tiles');
+            cells.push(...values);
+        });
+    } else if (Array.isArray(terrain)) {
+        cells = terrain.map(Number);
+    } else {
+        throw new Error('Terrain must be a string, a 50x50 array or a flat array');
+    }
+
+    if (cells.length !== 2500 || cells.some(value => !(value >= 0 && value <= 3))) {
+        throw new Error('Terrain must hold 2500 tiles with values 0-3');
+    }
+    // 3 (wall on swamp) is a wall, like on the server
+    return Uint8Array.from(cells, value => (value & 1) ? 1 : value);
+}
+
+// Build a fresh sandbox with main.js loaded, plus a room built from the dump
+function loadPlanner(dump, log, config) {
+    const lodash = requireLodash();
+    const roomName = dump.name || 'sim';
+    const terrain = parseTerrain(dump.terrain);
+
+    const sandbox = Object.assign({}, CONSTANTS);
+    sandbox._ = lodash;
+    sandbox.console = { log: (...args) => log(args.join(' ')) };
+    sandbox.module = { exports: {} };
+    sandbox.exports = sandbox.module.exports;
+    sandbox.global = sandbox;
+    sandbox.Memory = { rooms: {}, config: { global: Object.assign({}, dump.config, config) } };
+    sandbox.Game = { time: 0, rooms: {}, spawns: {}, creeps: {}, cpu: { bucket: 10000, getUsed: () => 0 } };
+
+    const terrains = { [roomName]: terrain };
+    sandbox.RoomPosition = createRoomPositionClass(sandbox);
+    sandbox.Room = { Terrain: createTerrainClass(terrains) };
+    sandbox.PathFinder = { CostMatrix: CostMatrix, search: (origin, goal, opts) => search(sandbox, terrains, origin, goal, opts) };
+
+    const room = createRoom(sandbox, roomName, dump);
+    sandbox.Game.rooms[roomName] = room;
+
+    vm.createContext(sandbox);
+    vm.runInContext(fs.readFileSync(MAIN_PATH, 'utf8'), sandbox, { filename: MAIN_PATH });
+
+    // Rooms planned before claiming have no spawn yet; put it where the planner would
+    // anchor a base when only the controller is known (the core stamp centres on it)
+    if (!room.find(CONSTANTS.FIND_MY_SPAWNS)[0]) {
+        const anchor = sandbox.findOptimalAnchor(room, room.controller, room.controller);
+        if (!anchor) throw new Error(`No spawn in the dump and no anchor found for ${roomName}`);
+        addStructure(sandbox, room, 'spawn', anchor.x, anchor.y, { name: 'Spawn1' });
+    }
+
+    return { sandbox, room };
+}
+
+// Plan one room dump, returning the plan in a stable, comparable form.
+// options: { config: Memory.config overrides, log: line => {} (default: collected in plan.logs) }
+function planRoom(dump, options = {}) {
+    const logs = [];
+    const log = options.log || (line => logs.push(line));
+    const { sandbox, room } = loadPlanner(dump, log, options.config);
+
+    room.memory.basePlanned = true;
+    sandbox.planBase(room);
+
+    const spawn = room.find(CONSTANTS.FIND_MY_SPAWNS)[0];
+    const structures = sortStructures(room.memory.plannedStructures.map(p => ({ x: p.x, y: p.y, type: p.type, stamp: p.stamp })));
+    const counts = {};
+    structures.forEach(s => counts[s.type] = (counts[s.type] || 0) + 1);
+
+    return {
+        name: room.name,
+        spawn: { x: spawn.pos.x, y: spawn.pos.y },
+        baseCenter: room.memory.baseCenter,
+        layout: room.memory.baseLayout,
+        counts: counts,
+        structures: structures,
+        logs: logs
+    };
+}
+
+// Helper function: Order by tile then type so snapshots don't depend on stamp order
+function sortStructures(structures) {
+    return structures.sort((a, b) => a.y - b.y || a.x - b.x || (a.type < b.type ? -1 : a.type > b.type ? 1 : 0));
+}
+
+// Helper function: The planner uses lodash as the global `_`, like on the server
+function requireLodash() {
+    try {
+        return require('lodash');
+    } catch (e) {
+        throw new Error('lodash is not installed (the planner needs lodash 3): npm install --no-save lodash@3.10.1');
+    }
+}
+
+// Room.Terrain stand-in
+function createTerrainClass(terrains) {
+    return class Terrain {
+        constructor(roomName) {
+            this.buffer = terrains[roomName];
+            if (!this.buffer) throw new Error(`No terrain for room ${roomName}`);
+        }
+        get(x, y) {
+            return this.buffer[y * 50 + x];
+        }
+        getRawBuffer() {
+            return Uint8Array.from(this.buffer);
+        }
+    };
+}
+
+// PathFinder.CostMatrix stand-in (same x * 50 + y layout as the server's)
+class CostMatrix {
+    constructor() {
+        this._bits = new Uint8Array(2500);
+    }
+    get(x, y) {
+        return this._bits[x * 50 + y];
+    }
+    set(x, y, cost) {
+        this._bits[x * 50 + y] = Math.min(Math.max(0, cost), 255);
+    }
+    clone() {
+        const copy = new CostMatrix();
+        copy._bits.set(this._bits);
+        return copy;
+    }
+    serialize() {
+        return Array.from(this._bits);
+    }
+    static deserialize(data) {
+        const matrix = new CostMatrix();
+        matrix._bits.set(data);
+        return matrix;
+    }
+}
+
+// PathFinder.search stand-in: single-room Dijkstra over 8 directions. Cost matrix values
+// override terrain costs (255 = impassable); the returned path excludes the origin.
+function search(sandbox, terrains, origin, goal, opts = {}) {
+    const goals = (Array.isArray(goal) ? goal : [goal]).map(g => g.pos ? { pos: g.pos, range: g.range || 0 } : { pos: g, range: 0 });
+    const terrain = terrains[origin.roomName];
+    const plainCost = opts.plainCost || 1;
+    const swampCost = opts.swampCost || 5;
+    const matrix = opts.roomCallback ? opts.roomCallback(origin.roomName) : null;
+
+    const tileCost = (x, y) => {
+        const custom = matrix ? matrix.get(x, y) : 0;
+        if (custom > 0) return custom;
+        const mask = terrain[y * 50 + x];
+        if (mask & 1) return 255;
+        return mask === 2 ? swampCost : plainCost;
+    };
+    const isGoal = (x, y) => goals.some(g => Math.max(Math.abs(g.pos.x - x), Math.abs(g.pos.y - y)) <= g.range);
+
+    const dist = new Float64Array(2500).fill(Infinity);
+    const parent = new Int16Array(2500).fill(-1);
+    const start = origin.y * 50 + origin.x;
+    dist[start] = 0;
+    const heap = new MinHeap();
+    heap.push(0, start);
+
+    let ops = 0;
+    let found = -1;
+    let closest = start;
+    let closestRange = Infinity;
+    while (heap.size() > 0) {
+        const { cost, index } = heap.pop();
+        if (cost > dist[index]) continue;
+        ops++;
+        const x = index % 50;
+        const y = (index - x) / 50;
+        if (isGoal(x, y)) {
+            found = index;
+            break;
+        }
+        const range = Math.min(...goals.map(g => Math.max(Math.abs(g.pos.x - x), Math.abs(g.pos.y - y))));
+        if (range < closestRange) {
+            closestRange = range;
+            closest = index;
+        }
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                if (dx === 0 && dy === 0) continue;
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || nx > 49 || ny < 0 || ny > 49) continue;
+                const step = tileCost(nx, ny);
+                if (step >= 255) continue;
+                const next = ny * 50 + nx;
+                if (cost + step < dist[next]) {
+                    dist[next] = cost + step;
+                    parent[next] = index;
+                    heap.push(cost + step, next);
+                }
+            }
+        }
+    }
+
+    const end = found >= 0 ? found : closest;
+    const pathPositions = [];
+    for (let index = end; index !== start; index = parent[index]) {
+        pathPositions.unshift(new sandbox.RoomPosition(index % 50, Math.floor(index / 50), origin.roomName));
+    }
+    return { path: pathPositions, ops: ops, cost: dist[end], incomplete: found < 0 };
+}
+
+// Binary heap ordered by cost, then insertion order, so equal-cost paths are deterministic
+class MinHeap {
+    constructor() {
+        this.items = [];
+        this.sequence = 0;
+    }
+    size() {
+        return this.items.length;
+    }
+    push(cost, index) {
+        const items = this.items;
+        items.push({ cost: cost, index: index, order: this.sequence++ });
+        let i = items.length - 1;
+        while (i > 0) {
+            const up = (i - 1) >> 1;
+            if (!this.less(items[i], items[up])) break;
+            [items[i], items[up]] = [items[up], items[i]];
+            i = up;
+        }
+    }
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && this.less(items[left], items[smallest])) smallest = left;
+                if (right < items.length && this.less(items[right], items[smallest])) smallest = right;
+                if (smallest === i) break;
+                [items[i], items[smallest]] = [items[smallest], items[i]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+    less(a, b) {
+        return a.cost < b.cost || (a.cost === b.cost && a.order < b.order);
+    }
+}
+
+// RoomPosition stand-in
+function createRoomPositionClass(sandbox) {
+    return class RoomPosition {
+        constructor(x, y, roomName) {
+            this.x = x;
+            this.y = y;
+            this.roomName = roomName;
+        }
+        getRangeTo(a, b) {
+            const target = toXY(a, b);
+            return Math.max(Math.abs(this.x - target.x), Math.abs(this.y - target.y));
+        }
+        inRangeTo(a, b, c) {
+            return typeof a === 'object' ? this.getRangeTo(a) <= b : this.getRangeTo(a, b) <= c;
+        }
+        isNearTo(a, b) {
+            return this.getRangeTo(a, b) <= 1;
+        }
+        isEqualTo(a, b) {
+            return this.getRangeTo(a, b) === 0;
+        }
+        lookFor(type) {
+            return sandbox.Game.rooms[this.roomName].lookForAt(type, this.x, this.y);
+        }
+        findClosestByRange(type, opts) {
+            const candidates = Array.isArray(type) ? type : sandbox.Game.rooms[this.roomName].find(type, opts);
+            return sandbox._.min(candidates, candidate => this.getRangeTo(candidate)) || null;
+        }
+        findClosestByPath(type, opts) {
+            return this.findClosestByRange(type, opts);
+        }
+    };
+}
+
+// Helper function: Accept (x, y), a position or a room object
+function toXY(a, b) {
+    if (typeof a === 'number') return { x: a, y: b };
+    return a.pos || a;
+}
+
+// Room stand-in holding the dump's sources, controller, mineral and spawn
+function createRoom(sandbox, roomName, dump) {
+    const objects = { structures: [], sites: [], sources: [], minerals: [] };
+    sandbox.Memory.rooms[roomName] = {};
+
+    const room = {
+        name: roomName,
+        _objects: objects,
+        get memory() {
+            return sandbox.Memory.rooms[roomName];
+        },
+        set memory(value) {
+            sandbox.Memory.rooms[roomName] = value;
+        },
+        controller: null,
+        energyAvailable: 300,
+        energyCapacityAvailable: 300,
+        visual: createVisualStub(),
+
+        find(type, opts) {
+            let found;
+            switch (type) {
+                case CONSTANTS.FIND_SOURCES: found = objects.sources; break;
+                case CONSTANTS.FIND_MINERALS: found = objects.minerals; break;
+                case CONSTANTS.FIND_STRUCTURES: found = objects.structures; break;
+                case CONSTANTS.FIND_MY_STRUCTURES: found = objects.structures.filter(s => s.my); break;
+                case CONSTANTS.FIND_MY_SPAWNS: found = objects.structures.filter(s => s.structureType === 'spawn'); break;
+                case CONSTANTS.FIND_CONSTRUCTION_SITES: found = objects.sites; break;
+                default: found = [];
+            }
+            return opts && opts.filter ? sandbox._.filter(found, opts.filter) : found.slice();
+        },
+        lookForAt(type, a, b) {
+            const { x, y } = toXY(a, b);
+            const at = list => list.filter(o => o.pos.x === x && o.pos.y === y);
+            switch (type) {
+                case CONSTANTS.LOOK_STRUCTURES: return at(objects.structures);
+                case CONSTANTS.LOOK_CONSTRUCTION_SITES: return at(objects.sites);
+                case CONSTANTS.LOOK_SOURCES: return at(objects.sources);
+                case CONSTANTS.LOOK_MINERALS: return at(objects.minerals);
+                case CONSTANTS.LOOK_CREEPS: return [];
+                case CONSTANTS.LOOK_TERRAIN: return [terrainName(room.getTerrain().get(x, y))];
+                default: return [];
+            }
+        },
+        lookAt(a, b) {
+            const { x, y } = toXY(a, b);
+            const result = [];
+            const lookTypes = {
+                [CONSTANTS.LOOK_STRUCTURES]: 'structure',
+                [CONSTANTS.LOOK_CONSTRUCTION_SITES]: 'constructionSite',
+                [CONSTANTS.LOOK_SOURCES]: 'source',
+                [CONSTANTS.LOOK_MINERALS]: 'mineral'
+            };
+            for (const lookType in lookTypes) {
+                room.lookForAt(lookType, x, y).forEach(o => result.push({ type: lookType, [lookTypes[lookType]]: o }));
+            }
+            result.push({ type: CONSTANTS.LOOK_TERRAIN, terrain: terrainName(room.getTerrain().get(x, y)) });
+            return result;
+        },
+        lookForAtArea(type, top, left, bottom, right, asArray) {
+            const result = [];
+            for (let y = top; y <= bottom; y++) {
+                for (let x = left; x <= right; x++) {
+                    room.lookForAt(type, x, y).forEach(o => result.push({ x: x, y: y, type: type, [type]: o }));
+                }
+            }
+            return result;
+        },
+        getTerrain() {
+            return new sandbox.Room.Terrain(roomName);
+        }
+    };
+
+    (dump.sources || []).forEach((source, index) => {
+        objects.sources.push({ id: `source${index}`, pos: new sandbox.RoomPosition(source.x, source.y, roomName), energy: 3000, energyCapacity: 3000, room: room });
+    });
+    if (dump.mineral) {
+        objects.minerals.push({ id: 'mineral0', pos: new sandbox.RoomPosition(dump.mineral.x, dump.mineral.y, roomName), mineralType: dump.mineral.mineralType || 'H', mineralAmount: 70000, room: room });
+    }
+    if (!dump.controller) throw new Error(`Room ${roomName} has no controller position`);
+    room.controller = addStructure(sandbox, room, 'controller', dump.controller.x, dump.controller.y, { level: 1 });
+    if (dump.spawn) {
+        addStructure(sandbox, room, 'spawn', dump.spawn.x, dump.spawn.y, { name: 'Spawn1' });
+    }
+
+    return room;
+}
+
+// Helper function: Place an owned structure (controller, spawn) in the stand-in room
+function addStructure(sandbox, room, structureType, x, y, extra) {
+    const structure = Object.assign({
+        id: `${structureType}${room._objects.structures.length}`,
+        structureType: structureType,
+        pos: new sandbox.RoomPosition(x, y, room.name),
+        room: room,
+        my: true
+    }, extra);
+    room._objects.structures.push(structure);
+    if (structureType === 'spawn') {
+        sandbox.Game.spawns[structure.name] = structure;
+    }
+    return structure;
+}
+
+// Helper function: Terrain mask → the name lookAt reports
+function terrainName(mask) {
+    return (mask & 1) ? 'wall' : mask === 2 ? 'swamp' : 'plain';
+}
+
+// Helper function: RoomVisual calls are no-ops offline
+function createVisualStub() {
+    const visual = {};
+    ['circle', 'line', 'rect', 'poly', 'text'].forEach(method => visual[method] = () => visual);
+    return visual;
+}
+
+// Snapshot comparison: the structure lists only, so log wording can change freely
+function diffPlans(expected, actual) {
+    const key = s => `${s.x},${s.y},${s.type},${s.stamp || ''}`;
+    const expectedKeys = new Set(expected.structures.map(key));
+    const actualKeys = new Set(actual.structures.map(key));
+    return {
+        anchorMoved: JSON.stringify(expected.baseCenter) !== JSON.stringify(actual.baseCenter),
+        added: actual.structures.filter(s => !expectedKeys.has(key(s))),
+        removed: expected.structures.filter(s => !actualKeys.has(key(s)))
+    };
+}
+
+// Helper function: Expand directories into their .json dumps, in name order
+function collectDumpFiles(inputs) {
+    const files = [];
+    inputs.forEach(input => {
+        if (fs.statSync(input).isDirectory()) {
+            fs.readdirSync(input).filter(file => file.endsWith('.json')).sort()
+                .forEach(file => files.push(path.join(input, file)));
+        } else {
+            files.push(input);
+        }
+    });
+    return files;
+}
+
+// Command line entry point; returns the process exit code
+function main(argv) {
+    const inputs = [];
+    let snapshotDir = null;
+    let update = false;
+    let verbose = false;
+    let config = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--snapshots') snapshotDir = argv[++i];
+        else if (argv[i] === '--update') update = true;
+        else if (argv[i] === '--verbose') verbose = true;
+        else if (argv[i] === '--config') config = JSON.parse(argv[++i]);
+        else inputs.push(argv[i]);
+    }
+    if (inputs.length === 0) {
+        console.log('Usage: node tools/plan-offline.js <room.json | directory>... [--snapshots <dir>] [--update] [--verbose] [--config <json>]');
+        return 2;
+    }
+    if (update && !snapshotDir) {
+        console.log('--update needs --snapshots <dir>');
+        return 2;
+    }
+
+    let failures = 0;
+    for (const file of collectDumpFiles(inputs)) {
+        const dump = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!dump.name) dump.name = path.basename(file, '.json');
+
+        let plan;
+        try {
+            plan = planRoom(dump, { config: config });
+        } catch (e) {
+            console.log(`❌ ${dump.name}: ${verbose ? e.stack : e.message}`);
+            failures++;
+            continue;
+        }
+        if (verbose) plan.logs.forEach(line => console.log(`   ${line}`));
+
+        const layout = plan.layout ? ` ${plan.layout} layout,` : '';
+        const summary = Object.keys(plan.counts).sort().map(type => `${plan.counts[type]} ${type}`).join(', ');
+        const anchor = plan.baseCenter ? `${plan.baseCenter.x},${plan.baseCenter.y}` : 'none';
+        const snapshot = { name: plan.name, spawn: plan.spawn, baseCenter: plan.baseCenter, layout: plan.layout, counts: plan.counts, structures: plan.structures };
+
+        if (!snapshotDir) {
+            console.log(`📐 ${plan.name}:${layout} anchor ${anchor}, ${plan.structures.length} planned (${summary})`);
+            continue;
+        }
+
+        const snapshotFile = path.join(snapshotDir, `${plan.name}.json`);
+        if (update) {
+            fs.mkdirSync(snapshotDir, { recursive: true });
+            fs.writeFileSync(snapshotFile, JSON.stringify(snapshot, null, 1) + '\n');
+            console.log(`💾 ${plan.name}: snapshot written (${plan.structures.length} planned)`);
+            continue;
+        }
+        if (!fs.existsSync(snapshotFile)) {
+            console.log(`❌ ${plan.name}: no snapshot at ${snapshotFile} (run with --update)`);
+            failures++;
+            continue;
+        }
+
+        const diff = diffPlans(JSON.parse(fs.readFileSync(snapshotFile, 'utf8')), snapshot);
+        if (!diff.anchorMoved && diff.added.length === 0 && diff.removed.length === 0) {
+            console.log(`✅ ${plan.name}: matches snapshot (${plan.structures.length} planned)`);
+            continue;
+        }
+        failures++;
+        console.log(`❌ ${plan.name}: plan changed${diff.anchorMoved ? ` (anchor now ${anchor})` : ''}, +${diff.added.length} / -${diff.removed.length}`);
+        diff.added.slice(0, 10).forEach(s => console.log(`   + ${s.type} at ${s.x},${s.y} (${s.stamp || 'no stamp'})`));
+        diff.removed.slice(0, 10).forEach(s => console.log(`   - ${s.type} at ${s.x},${s.y} (${s.stamp || 'no stamp'})`));
+    }
+
+    return failures > 0 ? 1 : 0;
+}
+
+module.exports = { parseTerrain, loadPlanner, planRoom, diffPlans, addStructure, CostMatrix };
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}